@@ -1,368 +1,1196 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Video, VideoOff, Mic, MicOff, Phone, PhoneOff, Shield, Users } from 'lucide-react';
-
-// Crypto utilities for E2EE
-class E2EECrypto {
-  constructor() {
-    this.cryptoKey = null;
-    this.encryptionKey = null;
-    this.ivCounter = 0;
-  }
-
-  // Derive AES-GCM key from PIN using PBKDF2
-  async deriveKeyFromPIN(pin) {
-    const encoder = new TextEncoder();
-    const pinData = encoder.encode(pin);
-    const salt = encoder.encode('SecureVideoCall2025'); // Static salt for same PIN = same key
-    
-    const baseKey = await crypto.subtle.importKey(
-      'raw',
-      pinData,
-      'PBKDF2',
-      false,
-      ['deriveBits', 'deriveKey']
-    );
-
-    this.cryptoKey = await crypto.subtle.deriveKey(
-      {
-        name: 'PBKDF2',
-        salt: salt,
-        iterations: 100000,
-        hash: 'SHA-256'
-      },
-      baseKey,
-      { name: 'AES-GCM', length: 256 },
-      false,
-      ['encrypt', 'decrypt']
-    );
-
-    return this.cryptoKey;
-  }
-
-  // Generate unique IV for each frame
-  generateIV() {
-    const iv = new ArrayBuffer(12);
-    const view = new DataView(iv);
-    view.setUint32(0, this.ivCounter >> 32);
-    view.setUint32(4, this.ivCounter & 0xFFFFFFFF);
-    this.ivCounter++;
-    return new Uint8Array(iv);
-  }
-
-  // Encrypt frame data
-  async encryptFrame(data) {
-    if (!this.cryptoKey) return data;
-    
-    const iv = this.generateIV();
-    const encrypted = await crypto.subtle.encrypt(
-      { name: 'AES-GCM', iv: iv },
-      this.cryptoKey,
-      data
-    );
-
-    // Prepend IV to encrypted data
-    const result = new Uint8Array(iv.length + encrypted.byteLength);
-    result.set(iv, 0);
-    result.set(new Uint8Array(encrypted), iv.length);
-    return result;
-  }
-
-  // Decrypt frame data
-  async decryptFrame(data) {
-    if (!this.cryptoKey || data.byteLength < 12) return data;
-
-    const iv = data.slice(0, 12);
-    const encrypted = data.slice(12);
+import { io } from 'socket.io-client';
+import { Video, VideoOff, Mic, MicOff, Phone, PhoneOff, Shield, ShieldAlert, ShieldOff, ShieldCheck, Users, Wifi, WifiOff, RefreshCw, ScreenShare, ScreenShareOff, MessageSquare, Paperclip, Send, X, Download, Settings, Activity, Copy, Check, Link, Crown, UserCheck, UserX, UserMinus } from 'lucide-react';
+import { e2eeMode } from './crypto/FrameCryptor';
+import { E2EE_POLICY, summarizePeers, trackState } from './crypto/e2eeStatus';
+import { PeerSession, initialPeerState } from './call/PeerSession';
+import { MAX_CHAT_LENGTH, MAX_FILE_SIZE, hashFile } from './call/SecureDataChannel';
+import { SEND_LEVELS } from './call/quality';
+import {
+  DEFAULT_RESOLUTION, LevelMeter, RESOLUTIONS, audioConstraints, describeMediaError, listDevices,
+  trackDeviceId, videoConstraints
+} from './call/media';
+import { clearInviteFromUrl, createRoom, inviteLink, pinRoom, readInvite } from './call/invite';
+
+// Signaling server URL - defaults to the page origin (proxied by Vite in dev)
+const SIGNALING_URL = import.meta.env.VITE_SIGNALING_URL || undefined;
+
+// STUN only - used when the server's /turn-credentials route can't be reached
+const FALLBACK_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' }
+];
+
+// How long a join waits for the signaling session that authorizes /turn-credentials
+const SESSION_TIMEOUT_MS = 10000;
+
+// Relay-only mode hides our IP address from peers, at the cost of a TURN hop
+const FORCE_RELAY = import.meta.env.VITE_FORCE_RELAY === 'true';
+
+// Sending keys are ratcheted forward this often during a call
+const KEY_ROTATION_INTERVAL = (Number(import.meta.env.VITE_KEY_ROTATION_SECONDS) || 300) * 1000;
+
+// A dropped peer connection is closed if ICE restarts can't revive it in time
+const CALL_RECOVERY_TIMEOUT = (Number(import.meta.env.VITE_CALL_RECOVERY_SECONDS) || 30) * 1000;
+
+// getDisplayMedia is missing on most mobile browsers
+const CAN_SHARE_SCREEN = typeof navigator !== 'undefined' &&
+  !!(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+
+// Room sizes offered when creating a room - the server caps this too
+const ROOM_CAPACITIES = [2, 3, 4, 5, 6];
+
+// Why the server ended a call, as shown to everyone still in it
+const ROOM_CLOSED_MESSAGES = {
+  admin: 'This call was closed by an administrator.',
+  expired: 'This call has reached its time limit.',
+  'max-duration': 'This call has reached its maximum length.',
+  idle: 'This call was closed after a long period of inactivity.'
+};
+
+// Socket events registered per call, removed again on leave
+const CALL_EVENTS = [
+  'roomJoined', 'userJoined', 'key-exchange', 'offer', 'answer', 'ice-candidate', 'userLeft', 'roomUnavailable',
+  'waitingForHost', 'admitted', 'denied', 'lobbyClosed', 'removed', 'knock', 'knockWithdrawn', 'hostChanged',
+  'roomClosed'
+];
+
+// Signaling server connection badge, independent of the call state
+function SignalingIndicator({ state }) {
+  const labels = {
+    connecting: 'Connecting to server...',
+    connected: 'Server connected',
+    reconnecting: 'Reconnecting to server...',
+    disconnected: 'Server offline'
+  };
+
+  return (
+    <div className="flex items-center gap-2" title="Signaling server">
+      {state === 'connected'
+        ? <Wifi className="w-4 h-4 text-green-400" />
+        : <WifiOff className={`w-4 h-4 ${state === 'disconnected' ? 'text-red-400' : 'text-yellow-400 animate-pulse'}`} />}
+      <span className="text-sm">{labels[state]}</span>
+    </div>
+  );
+}
+
+// End-to-end encryption badge, driven by the per-track state machine of
+// every peer passed in (the worst one wins)
+function E2EEBadge({ peers }) {
+  const { state, errors } = summarizePeers(peers);
+  const badges = {
+    active: { Icon: Shield, color: 'text-green-400', label: 'Encrypted' },
+    pending: { Icon: Shield, color: 'text-gray-400 animate-pulse', label: 'Securing...' },
+    'decrypt-errors': { Icon: ShieldAlert, color: 'text-yellow-400', label: `Decrypt errors (${errors})` },
+    unsupported: { Icon: ShieldOff, color: 'text-red-400', label: 'Not encrypted' },
+    'key-mismatch': { Icon: ShieldAlert, color: 'text-red-400', label: "Keys don't match" }
+  };
+  const { Icon, color, label } = badges[state];
+  const details = Object.values(peers)
+    .flatMap(({ tracks, keyState }) => Object.values(tracks).map(track =>
+      `${track.operation} ${track.kind}: ${trackState(track, keyState)} (${track.frames || 0} frames, ${track.errors || 0} errors)`
+    ))
+    .join('\n');
+
+  return (
+    <div className="flex items-center gap-2" title={details || 'No media tracks yet'}>
+      <Icon className={`w-4 h-4 ${color}`} />
+      <span className="text-sm">{label}</span>
+    </div>
+  );
+}
+
+// Safety number both users compare out loud to rule out a man in the middle
+function SasPanel({ label, sas, verified, fingerprintsChanged, onVerify }) {
+  return (
+    <div className={`max-w-4xl mx-auto rounded-lg p-4 text-white ${
+      fingerprintsChanged ? 'bg-red-500/20 border border-red-400/50' : 'bg-white/10 backdrop-blur-lg'
+    }`}>
+      {fingerprintsChanged && (
+        <p className="flex items-center gap-2 font-semibold text-red-300 mb-2">
+          <ShieldAlert className="w-5 h-5" />
+          Security fingerprints changed during the call - verify again
+        </p>
+      )}
+      <div className="flex items-center justify-between gap-4 flex-wrap">
+        <div>
+          <p className="text-sm text-gray-300 mb-1">Compare with {label} - both screens must match</p>
+          <p className="text-3xl tracking-widest">{sas.emoji.join(' ')}</p>
+          <p className="text-sm font-mono text-gray-300 mt-1">{sas.digits}</p>
+        </div>
+        {verified ? (
+          <div className="flex items-center gap-2 text-green-400">
+            <ShieldCheck className="w-5 h-5" />
+            <span className="text-sm font-medium">Verified</span>
+          </div>
+        ) : (
+          <button
+            onClick={onVerify}
+            className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white text-sm font-semibold rounded-lg transition-all"
+          >
+            Mark verified
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Live microphone level - owns its own state so the meter doesn't re-render the app
+function MicMeter({ stream }) {
+  const [level, setLevel] = useState(0);
+  const track = stream && stream.getAudioTracks()[0];
+
+  useEffect(() => {
+    if (!track) return undefined;
+    const meter = new LevelMeter(track, setLevel);
+    return () => meter.stop();
+  }, [track]);
+
+  return (
+    <div className="h-2 bg-white/20 rounded-full overflow-hidden" title="Microphone level">
+      <div className="h-full bg-green-400 transition-all duration-75" style={{ width: `${Math.round(level * 100)}%` }} />
+    </div>
+  );
+}
+
+// Camera, microphone and resolution pickers, used in the lobby and mid-call
+function DeviceSettings({ devices, settings, stream, onDeviceChange, onResolutionChange }) {
+  const selectClass = 'w-full px-3 py-2 bg-white/20 border border-white/30 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-green-400';
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm text-gray-300">
+      <label className="space-y-1">
+        <span>Camera</span>
+        <select value={settings.cameraId} onChange={(e) => onDeviceChange('video', e.target.value)} className={selectClass}>
+          {devices.cameras.length === 0 && <option value="" className="text-black">Default camera</option>}
+          {devices.cameras.map(device => (
+            <option key={device.deviceId} value={device.deviceId} className="text-black">{device.label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="space-y-1">
+        <span>Microphone</span>
+        <select value={settings.microphoneId} onChange={(e) => onDeviceChange('audio', e.target.value)} className={selectClass}>
+          {devices.microphones.length === 0 && <option value="" className="text-black">Default microphone</option>}
+          {devices.microphones.map(device => (
+            <option key={device.deviceId} value={device.deviceId} className="text-black">{device.label}</option>
+          ))}
+        </select>
+        <MicMeter key={settings.microphoneId} stream={stream} />
+      </label>
+      <label className="space-y-1">
+        <span>Resolution</span>
+        <select value={settings.resolution} onChange={(e) => onResolutionChange(e.target.value)} className={selectClass}>
+          {Object.keys(RESOLUTIONS).map(resolution => (
+            <option key={resolution} value={resolution} className="text-black">{resolution}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+const formatBitrate = (bps) => (bps >= 1000000 ? `${(bps / 1000000).toFixed(1)} Mbps` : `${Math.round(bps / 1000)} kbps`);
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+const formatVideo = (video) => (video ? `${video.width}x${video.height} @ ${video.fps} fps` : '-');
+const orDash = (value, format) => (value === null || value === undefined ? '-' : format(value));
+
+// Per-peer network and E2EE numbers, refreshed with every stats poll
+function StatsPanel({ peers, peerLabel, autoAudioOnly, onAutoAudioOnlyChange }) {
+  return (
+    <div className="max-w-4xl mx-auto rounded-lg p-4 bg-white/10 backdrop-blur-lg text-white space-y-4">
+      {peers.length === 0 && <p className="text-sm text-gray-400 text-center">No peers connected</p>}
+      {peers.map(([peerId, peer]) => {
+        const quality = peer.quality;
+        const rows = quality ? [
+          ['Route', quality.localCandidate ? `${quality.localCandidate} → ${quality.remoteCandidate}` : '-'],
+          ['Round trip', orDash(quality.rtt, rtt => `${Math.round(rtt)} ms`)],
+          ['Jitter', orDash(quality.jitter, jitter => `${Math.round(jitter)} ms`)],
+          ['Loss in / out', `${orDash(quality.inboundLoss, formatPercent)} / ${orDash(quality.outboundLoss, formatPercent)}`],
+          ['Bitrate up / down', `${orDash(quality.sendBitrate, formatBitrate)} / ${orDash(quality.receiveBitrate, formatBitrate)}`],
+          ['Video out', peer.audioOnly ? 'paused (audio only)' : formatVideo(quality.sendVideo)],
+          ['Video in', formatVideo(quality.receiveVideo)],
+          ['Codecs', quality.codecs.join(', ') || '-'],
+          ['Sending quality', quality.sendLevel === 0 ? 'Full' : `Reduced (${quality.sendLevel}/${SEND_LEVELS.length - 1})`]
+        ] : [];
+
+        return (
+          <div key={peerId}>
+            <p className="font-semibold mb-2">{peerLabel(peerId)}</p>
+            {!quality && <p className="text-sm text-gray-400">Waiting for the connection...</p>}
+            <dl className="grid grid-cols-2 md:grid-cols-3 gap-x-4 gap-y-1 text-sm">
+              {rows.map(([label, value]) => (
+                <div key={label} className="flex justify-between gap-2">
+                  <dt className="text-gray-400">{label}</dt>
+                  <dd className="font-mono text-right">{value}</dd>
+                </div>
+              ))}
+            </dl>
+            {Object.keys(peer.tracks).length > 0 && (
+              <table className="w-full mt-2 text-sm font-mono">
+                <thead>
+                  <tr className="text-gray-400 text-left">
+                    <th className="font-normal">E2EE track</th>
+                    <th className="font-normal text-right">Frames</th>
+                    <th className="font-normal text-right">Errors</th>
+                    <th className="font-normal text-right">Avg time</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(peer.tracks).map(([id, track]) => (
+                    <tr key={id}>
+                      <td>{track.operation} {track.kind}</td>
+                      <td className="text-right">{track.frames || 0}</td>
+                      <td className="text-right">{track.errors || 0}</td>
+                      <td className="text-right">{orDash(track.avgMs, ms => `${ms.toFixed(2)} ms`)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        );
+      })}
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={autoAudioOnly}
+          onChange={(e) => onAutoAudioOnlyChange(e.target.checked)}
+          className="accent-green-500"
+        />
+        Switch to audio only automatically when a connection can't keep up
+      </label>
+    </div>
+  );
+}
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// In-call chat and drag-and-drop file sharing. Every message and chunk is
+// encrypted end-to-end for each peer - the server never sees any of it
+function ChatPanel({ messages, enabled, peerLabel, onSend, onSendFiles, onCancel }) {
+  const [draft, setDraft] = useState('');
+  const [dragging, setDragging] = useState(false);
+  const fileInputRef = useRef(null);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages.length]);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+    onSend(text);
+    setDraft('');
+  };
+
+  const drop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (enabled && e.dataTransfer.files.length > 0) {
+      onSendFiles([...e.dataTransfer.files]);
+    }
+  };
+
+  const statusLabels = {
+    sending: 'Sending',
+    receiving: 'Receiving',
+    verifying: 'Verifying',
+    done: 'Complete',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+  };
+
+  return (
+    <div
+      onDragOver={(e) => { e.preventDefault(); setDragging(enabled); }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={drop}
+      className={`max-w-4xl mx-auto rounded-lg p-4 text-white bg-white/10 backdrop-blur-lg ${
+        dragging ? 'ring-2 ring-green-400' : ''
+      }`}
+    >
+      <div ref={listRef} className="max-h-64 overflow-y-auto space-y-2 mb-3">
+        {messages.length === 0 && (
+          <p className="text-sm text-gray-400 text-center">
+            {enabled ? 'No messages yet - drop files here to share them' : 'Chat opens once the call is encrypted'}
+          </p>
+        )}
+        {messages.map(message => {
+          const from = message.direction === 'send'
+            ? (message.peerId ? `You to ${peerLabel(message.peerId)}` : 'You')
+            : peerLabel(message.peerId);
+          const active = ['sending', 'receiving', 'verifying'].includes(message.status);
+
+          return (
+            <div key={message.key} className={`flex ${message.direction === 'send' ? 'justify-end' : 'justify-start'}`}>
+              <div className={`max-w-[75%] rounded-lg px-3 py-2 ${message.direction === 'send' ? 'bg-green-500/30' : 'bg-white/10'}`}>
+                <p className="text-xs text-gray-300 mb-1">{from}</p>
+                {message.kind === 'chat' ? (
+                  <p className="text-sm whitespace-pre-wrap break-words">{message.text}</p>
+                ) : (
+                  <div className="text-sm">
+                    <p className="flex items-center gap-2 font-medium break-all">
+                      <Paperclip className="w-4 h-4 flex-shrink-0" />
+                      {message.name}
+                    </p>
+                    <p className="text-xs text-gray-300">
+                      {formatBytes(message.transferred || 0)} / {formatBytes(message.size)} - {statusLabels[message.status]}
+                    </p>
+                    {active && (
+                      <div className="mt-1 flex items-center gap-2">
+                        <div className="flex-1 h-1.5 bg-white/20 rounded-full overflow-hidden">
+                          <div
+                            className="h-full bg-green-400"
+                            style={{ width: `${message.size ? Math.round(100 * (message.transferred || 0) / message.size) : 100}%` }}
+                          />
+                        </div>
+                        <button onClick={() => onCancel(message.peerId, message.id)} title="Cancel transfer">
+                          <X className="w-4 h-4 text-gray-300 hover:text-white" />
+                        </button>
+                      </div>
+                    )}
+                    {message.url && (
+                      <a
+                        href={message.url}
+                        download={message.name}
+                        className="mt-1 inline-flex items-center gap-1 text-green-300 hover:text-green-200"
+                      >
+                        <Download className="w-4 h-4" />
+                        Save
+                      </a>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <form onSubmit={submit} className="flex items-center gap-2">
+        <input
+          type="text"
+          value={draft}
+          maxLength={MAX_CHAT_LENGTH}
+          disabled={!enabled}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Encrypted message"
+          className="flex-1 px-3 py-2 bg-white/20 border border-white/30 rounded-lg text-white placeholder-gray-300 focus:outline-none focus:ring-2 focus:ring-green-400 disabled:opacity-50"
+        />
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            onSendFiles([...e.target.files]);
+            e.target.value = '';
+          }}
+        />
+        <button
+          type="button"
+          disabled={!enabled}
+          onClick={() => fileInputRef.current.click()}
+          title="Share files"
+          className="p-2 rounded-lg bg-white/20 hover:bg-white/30 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Paperclip className="w-5 h-5" />
+        </button>
+        <button
+          type="submit"
+          disabled={!enabled || !draft.trim()}
+          className="p-2 rounded-lg bg-green-500 hover:bg-green-600 disabled:bg-gray-500 disabled:cursor-not-allowed"
+        >
+          <Send className="w-5 h-5" />
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Video tile for one remote participant, with its own E2EE badge
+// onRemove is only passed to the host
+function RemoteTile({ label, peer, onRemove }) {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = peer.stream;
+    }
+  }, [peer.stream]);
+
+  return (
+    <div className="relative bg-gray-800 rounded-xl overflow-hidden shadow-2xl aspect-video">
+      <video
+        ref={videoRef}
+        autoPlay
+        playsInline
+        className="w-full h-full object-cover"
+      />
+      {!peer.stream && (
+        <div className="absolute inset-0 flex items-center justify-center">
+          <div className="text-center">
+            <Users className="w-16 h-16 text-gray-500 mx-auto mb-2" />
+            <p className="text-gray-400">Connecting to {label}...</p>
+          </div>
+        </div>
+      )}
+      {peer.stream && peer.recovering && (
+        <div className="absolute inset-0 flex items-center justify-center bg-black/60">
+          <p className="flex items-center gap-2 text-white">
+            <RefreshCw className="w-5 h-5 animate-spin" />
+            Reconnecting…
+          </p>
+        </div>
+      )}
+      <div className="absolute bottom-4 left-4 flex items-center gap-3 bg-black/60 px-3 py-1 rounded-full text-white text-sm">
+        <span>{label}</span>
+        <E2EEBadge peers={{ [label]: peer }} />
+      </div>
+      {onRemove && (
+        <button
+          onClick={onRemove}
+          title={`Remove ${label} from the call`}
+          className="absolute top-4 right-4 p-2 bg-black/60 hover:bg-red-500 rounded-full text-white transition-all"
+        >
+          <UserMinus className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+}
+
+// People knocking to be let in - only the host sees this
+function KnockPanel({ knocks, onAdmit, onDeny }) {
+  return (
+    <div className="max-w-4xl mx-auto bg-blue-500/20 border border-blue-400/50 rounded-lg p-4 space-y-2 text-white">
+      <p className="font-semibold">Waiting to join</p>
+      {knocks.map(({ userId, name }) => (
+        <div key={userId} className="flex items-center justify-between gap-3">
+          <span className="text-sm truncate">{name}</span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => onAdmit(userId)}
+              className="px-3 py-1 bg-green-500 hover:bg-green-600 rounded text-sm font-semibold flex items-center gap-1"
+            >
+              <UserCheck className="w-4 h-4" />
+              Admit
+            </button>
+            <button
+              onClick={() => onDeny(userId)}
+              className="px-3 py-1 bg-white/20 hover:bg-white/30 rounded text-sm font-semibold flex items-center gap-1"
+            >
+              <UserX className="w-4 h-4" />
+              Deny
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Invite link for a created room, with a copy button. The link holds the
+// room secret, so it's only shown to people already in the call
+function InviteLink({ invite }) {
+  const [copied, setCopied] = useState(false);
+  const link = inviteLink(invite);
 
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const copy = async () => {
     try {
-      const decrypted = await crypto.subtle.decrypt(
-        { name: 'AES-GCM', iv: iv },
-        this.cryptoKey,
-        encrypted
-      );
-      return new Uint8Array(decrypted);
-    } catch (e) {
-      console.error('Decryption failed:', e);
-      return new Uint8Array(0);
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch (error) {
+      console.error('Copying the invite link failed:', error);
     }
-  }
+  };
+
+  return (
+    <div className="flex items-center gap-2 bg-black/30 rounded-lg p-2 text-white">
+      <Link className="w-4 h-4 text-green-400 flex-shrink-0" />
+      <input
+        readOnly
+        value={link}
+        onFocus={(e) => e.target.select()}
+        aria-label="Invite link"
+        className="flex-1 min-w-0 bg-transparent text-sm text-gray-200 focus:outline-none"
+      />
+      <button
+        onClick={copy}
+        className="px-3 py-1 bg-white/20 hover:bg-white/30 rounded text-sm font-semibold flex items-center gap-1"
+      >
+        {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+        {copied ? 'Copied' : 'Copy'}
+      </button>
+    </div>
+  );
 }
 
 function App() {
   const [pin, setPin] = useState('');
-  const [status, setStatus] = useState('idle'); // idle, connecting, waiting, incall
+  const [status, setStatus] = useState('idle'); // idle, lobby, connecting, knocking, waiting, incall
+  const [signalingState, setSignalingState] = useState('connecting'); // connecting, connected, reconnecting, disconnected
+  const [signalingError, setSignalingError] = useState(null); // { event, code, message } from the server
+  const [turnError, setTurnError] = useState(null); // why this call has no TURN relay
   const [isVideoEnabled, setIsVideoEnabled] = useState(true);
   const [isAudioEnabled, setIsAudioEnabled] = useState(true);
   const [roomOccupancy, setRoomOccupancy] = useState(0);
-  const [generatedPin, setGeneratedPin] = useState('');
+  const [roomCapacity, setRoomCapacity] = useState(ROOM_CAPACITIES[0]); // requested on join, confirmed by the server
+  const [invite, setInvite] = useState(null); // { room, secret } for rooms created here or joined by link
+  const [displayName, setDisplayName] = useState(''); // shown to the host when we knock
+  const [hostId, setHostId] = useState(null);
+  const [knocks, setKnocks] = useState([]); // [{ userId, name }] waiting for us to let them in, as host
+  const [peers, setPeers] = useState({}); // peerId -> per-peer call state, see initialPeerState
+  const [relayOnly, setRelayOnly] = useState(FORCE_RELAY);
+  const [messages, setMessages] = useState([]); // chat messages and file transfers, oldest first
+  const [showChat, setShowChat] = useState(false);
+  const [screenStream, setScreenStream] = useState(null); // our shared screen, if any
+  const [shareAlongsideCamera, setShareAlongsideCamera] = useState(false);
+  const [localStream, setLocalStream] = useState(null); // camera + microphone, from the lobby on
+  const [devices, setDevices] = useState({ cameras: [], microphones: [] });
+  const [mediaSettings, setMediaSettings] = useState({ cameraId: '', microphoneId: '', resolution: DEFAULT_RESOLUTION });
+  const [mediaError, setMediaError] = useState(null); // what went wrong with the camera/microphone
+  const [showDevices, setShowDevices] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [autoAudioOnly, setAutoAudioOnly] = useState(false);
 
   const localVideoRef = useRef(null);
-  const remoteVideoRef = useRef(null);
   const socketRef = useRef(null);
-  const peerConnectionRef = useRef(null);
   const localStreamRef = useRef(null);
-  const cryptoRef = useRef(new E2EECrypto());
+  const screenShareRef = useRef(null); // { stream, alongsideCamera } while sharing
+  const screenVideoRef = useRef(null);
+  const peersRef = useRef(new Map()); // peerId -> PeerSession
   const currentRoomRef = useRef(null);
-
-  // WebRTC configuration with free STUN servers
-  const rtcConfig = {
-    iceServers: [
-      { urls: 'stun:stun.l.google.com:19302' },
-      { urls: 'stun:stun1.l.google.com:19302' }
-    ]
-  };
+  const credentialsRef = useRef(null); // { room, secret } picked on the start screen
+  const knockingRef = useRef(false); // waiting in the host's lobby
+  const requestedCapacityRef = useRef(ROOM_CAPACITIES[0]);
+  const accessTokenRef = useRef(null); // bearer token for the server's REST routes
+  const rtcConfigRef = useRef(null); // fetched per call, TURN credentials expire
+  const inviteOpenedRef = useRef(false); // the invite link is joined once, even in StrictMode
 
   // Initialize socket connection
   useEffect(() => {
-    // For demo purposes, connect to a mock signaling server
-    // In production, replace with: io('https://your-server.com')
-    const mockSocket = {
-      on: (event, callback) => {
-        mockSocket[`_${event}`] = callback;
-      },
-      emit: (event, data) => {
-        console.log('Socket emit:', event, data);
-        // Mock server responses
-        if (event === 'join-room') {
-          setTimeout(() => {
-            mockSocket._roomJoined?.({ occupancy: 1 });
-            setRoomOccupancy(1);
-          }, 500);
-        }
-      },
-      disconnect: () => console.log('Socket disconnected')
-    };
+    const socket = io(SIGNALING_URL, {
+      transports: ['websocket', 'polling'],
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 5000
+    });
 
-    socketRef.current = mockSocket;
+    socketRef.current = socket;
 
-    return () => {
-      if (socketRef.current) {
-        socketRef.current.disconnect();
-      }
-    };
-  }, []);
+    socket.on('connect', () => {
+      console.log('Signaling connected:', socket.id);
+      setSignalingState('connected');
 
-  // Setup Insertable Streams for E2EE
-  const setupInsertableStreams = (sender, isEncrypting) => {
-    const senderStreams = sender.createEncodedStreams();
-    const transformStream = new TransformStream({
-      transform: async (chunk, controller) => {
-        const { data } = chunk;
-        
-        if (isEncrypting) {
-          // Encrypt outgoing frames
-          const encrypted = await cryptoRef.current.encryptFrame(data);
-          chunk.data = encrypted.buffer;
-        } else {
-          // Decrypt incoming frames
-          const decrypted = await cryptoRef.current.decryptFrame(new Uint8Array(data));
-          chunk.data = decrypted.buffer;
+      // The server kept our id and room through a short drop - kick any
+      // ICE restart that couldn't be signaled while we were offline
+      if (socket.recovered) {
+        peersRef.current.forEach(session => {
+          if (session.recovering) session.restartIce();
+        });
+        // A place in the lobby isn't kept through a drop - knock again
+        if (knockingRef.current) {
+          socket.emit('join-room', { room: currentRoomRef.current, capacity: requestedCapacityRef.current });
         }
-        
-        controller.enqueue(chunk);
+        return;
+      }
+
+      // Rejoin the current room after a longer drop - the server has
+      // forgotten our membership, and the others will see us as a new
+      // participant with a new id
+      if (currentRoomRef.current) {
+        closePeers();
+        socket.emit('join-room', { room: currentRoomRef.current, capacity: requestedCapacityRef.current });
       }
     });
 
-    if (isEncrypting) {
-      senderStreams.readable
-        .pipeThrough(transformStream)
-        .pipeTo(senderStreams.writable);
-    }
-  };
+    socket.on('disconnect', (reason) => {
+      console.log('Signaling disconnected:', reason);
+      // The server revokes the token with the connection
+      accessTokenRef.current = null;
+      // 'io client disconnect' is our own teardown, anything else will be retried
+      setSignalingState(reason === 'io client disconnect' ? 'disconnected' : 'reconnecting');
+    });
 
-  // Setup Insertable Streams for receiver
-  const setupReceiverStreams = (receiver) => {
-    const receiverStreams = receiver.createEncodedStreams();
-    const transformStream = new TransformStream({
-      transform: async (chunk, controller) => {
-        const { data } = chunk;
-        const decrypted = await cryptoRef.current.decryptFrame(new Uint8Array(data));
-        chunk.data = decrypted.buffer;
-        controller.enqueue(chunk);
-      }
+    socket.on('connect_error', (error) => {
+      console.error('Signaling connection error:', error.message);
+      setSignalingState((prev) => (prev === 'connected' ? prev : 'reconnecting'));
     });
 
-    receiverStreams.readable
-      .pipeThrough(transformStream)
-      .pipeTo(receiverStreams.writable);
-  };
+    // Issued on every connect, valid while this socket stays connected
+    socket.on('session', ({ accessToken }) => {
+      accessTokenRef.current = accessToken;
+    });
 
-  // Initialize local media stream
-  const initializeMedia = async () => {
+    // The server rejected one of our messages (invalid, oversized, not in a room)
+    socket.on('signaling-error', (error) => {
+      console.error(`Signaling error on ${error.event}: [${error.code}] ${error.message}`);
+      setSignalingError(error);
+    });
+
+    socket.io.on('reconnect_attempt', (attempt) => {
+      console.log('Signaling reconnect attempt:', attempt);
+      setSignalingState('reconnecting');
+    });
+
+    socket.io.on('reconnect_failed', () => {
+      setSignalingState('disconnected');
+    });
+
+    return () => {
+      socket.removeAllListeners();
+      socket.io.removeAllListeners();
+      socket.disconnect();
+      socketRef.current = null;
+    };
+  }, []);
+
+  // Initialize local media stream with the chosen devices
+  const initializeMedia = async ({ cameraId, microphoneId, resolution }) => {
     try {
       const stream = await navigator.mediaDevices.getUserMedia({
-        video: { width: 1280, height: 720 },
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true
-        }
+        video: videoConstraints(cameraId, resolution),
+        audio: audioConstraints(microphoneId)
       });
 
       localStreamRef.current = stream;
-      if (localVideoRef.current) {
-        localVideoRef.current.srcObject = stream;
-      }
-
+      setLocalStream(stream);
+      setMediaError(null);
+      setIsVideoEnabled(true);
+      setIsAudioEnabled(true);
+      // Device labels are only available now that access was granted
+      setDevices(await listDevices());
+      setMediaSettings(prev => ({
+        ...prev,
+        cameraId: trackDeviceId(stream.getVideoTracks()[0]),
+        microphoneId: trackDeviceId(stream.getAudioTracks()[0])
+      }));
       return stream;
     } catch (error) {
       console.error('Error accessing media devices:', error);
-      alert('Could not access camera/microphone. Please grant permissions.');
+      setMediaError(describeMediaError(error));
       return null;
     }
   };
 
-  // Create peer connection with E2EE
-  const createPeerConnection = async () => {
-    const pc = new RTCPeerConnection(rtcConfig);
-    peerConnectionRef.current = pc;
-
-    // Add local tracks with E2EE
+  // Switch camera or microphone. Mid-call the new track goes out through
+  // replaceTrack, so the encrypt transforms stay in place
+  const changeDevice = async (kind, deviceId) => {
     const stream = localStreamRef.current;
-    if (stream) {
-      stream.getTracks().forEach(track => {
-        const sender = pc.addTrack(track, stream);
-        // Setup encryption for outgoing streams
-        if (sender.createEncodedStreams) {
-          setupInsertableStreams(sender, true);
-        }
-      });
+    const next = { ...mediaSettings, [kind === 'video' ? 'cameraId' : 'microphoneId']: deviceId };
+    if (!stream) {
+      await initializeMedia(next);
+      return;
     }
 
-    // Handle incoming tracks with E2EE
-    pc.ontrack = (event) => {
-      console.log('Received remote track');
-      if (remoteVideoRef.current) {
-        remoteVideoRef.current.srcObject = event.streams[0];
-      }
-      setStatus('incall');
+    const [previous] = kind === 'video' ? stream.getVideoTracks() : stream.getAudioTracks();
+    const acquire = async () => {
+      const constraints = kind === 'video'
+        ? { video: videoConstraints(deviceId, next.resolution) }
+        : { audio: audioConstraints(deviceId) };
+      return (await navigator.mediaDevices.getUserMedia(constraints)).getTracks()[0];
+    };
 
-      // Setup decryption for incoming streams
-      if (event.receiver.createEncodedStreams) {
-        setupReceiverStreams(event.receiver);
+    let track;
+    try {
+      try {
+        track = await acquire();
+      } catch (error) {
+        // Some cameras can't be opened twice - release the old one and retry
+        if (!previous || error.name !== 'NotReadableError') throw error;
+        previous.stop();
+        track = await acquire();
       }
+    } catch (error) {
+      console.error(`Switching ${kind} device failed:`, error);
+      setMediaError(describeMediaError(error));
+      return;
+    }
+
+    if (previous) {
+      track.enabled = previous.enabled;
+      previous.stop();
+      stream.removeTrack(previous);
+    }
+    stream.addTrack(track);
+    setMediaError(null);
+    setMediaSettings({ ...next, [kind === 'video' ? 'cameraId' : 'microphoneId']: trackDeviceId(track) });
+    peersRef.current.forEach(session => {
+      session.replaceLocalTrack(track).catch(error => console.error(`Replacing ${kind} track failed:`, error));
+    });
+  };
+
+  const changeResolution = async (resolution) => {
+    setMediaSettings(prev => ({ ...prev, resolution }));
+    const [video] = localStreamRef.current ? localStreamRef.current.getVideoTracks() : [];
+    if (video) {
+      await video.applyConstraints(videoConstraints('', resolution))
+        .catch(error => console.warn('Could not change resolution:', error.message));
+    }
+  };
+
+  // Keep device lists current as headsets and cameras come and go, and fall
+  // back to the default device when the one in use disappears
+  useEffect(() => {
+    if (status === 'idle') return undefined;
+    const onDeviceChange = async () => {
+      const next = await listDevices();
+      setDevices(next);
+
+      const stream = localStreamRef.current;
+      if (!stream) return;
+      const [video] = stream.getVideoTracks();
+      const [audio] = stream.getAudioTracks();
+      const gone = (track, list) => track &&
+        (track.readyState === 'ended' || !list.some(device => device.deviceId === trackDeviceId(track)));
+      if (gone(audio, next.microphones)) await changeDevice('audio', '');
+      if (gone(video, next.cameras)) await changeDevice('video', '');
     };
+    navigator.mediaDevices.addEventListener('devicechange', onDeviceChange);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', onDeviceChange);
+  }, [status, mediaSettings]);
 
-    // Handle ICE candidates
-    pc.onicecandidate = (event) => {
-      if (event.candidate && socketRef.current) {
-        socketRef.current.emit('ice-candidate', {
-          room: currentRoomRef.current,
-          candidate: event.candidate
-        });
-      }
+  // The lobby preview and the call grid each mount their own local video
+  useEffect(() => {
+    if (localVideoRef.current) {
+      localVideoRef.current.srcObject = localStream;
+    }
+  }, [localStream, status]);
+
+  // The access token arrives in the 'session' event right after connecting;
+  // an invite link can start joining before that
+  const waitForAccessToken = () => new Promise((resolve, reject) => {
+    if (accessTokenRef.current) {
+      resolve(accessTokenRef.current);
+      return;
+    }
+    const socket = socketRef.current;
+    const onSession = ({ accessToken }) => {
+      clearTimeout(timer);
+      resolve(accessToken);
     };
+    const timer = setTimeout(() => {
+      socket.off('session', onSession);
+      reject(new Error('not connected to the signaling server'));
+    }, SESSION_TIMEOUT_MS);
+    socket.once('session', onSession);
+  });
 
-    // Connection state monitoring
-    pc.onconnectionstatechange = () => {
-      console.log('Connection state:', pc.connectionState);
-      if (pc.connectionState === 'disconnected' || pc.connectionState === 'failed') {
-        handleLeave();
+  // WebRTC configuration with short-lived TURN credentials from the
+  // signaling server. Throws when there are none - the caller decides
+  // whether STUN alone will do
+  const fetchRtcConfig = async (relay) => {
+    const accessToken = await waitForAccessToken();
+    const response = await fetch(`${SIGNALING_URL || ''}/turn-credentials`, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const { iceServers } = await response.json();
+    return { iceServers, iceTransportPolicy: relay ? 'relay' : 'all' };
+  };
+
+  // Merge a PeerSession update into that peer's state. Updates for peers
+  // that already left are dropped
+  const updatePeer = (peerId, patch) => {
+    setPeers(prev => {
+      const current = prev[peerId];
+      if (!current) return prev;
+      return { ...prev, [peerId]: { ...current, ...(typeof patch === 'function' ? patch(current) : patch) } };
+    });
+  };
+
+  // Add or update a chat entry - transfers report progress under one key
+  const upsertMessage = (key, patch) => {
+    setMessages(prev => {
+      const index = prev.findIndex(message => message.key === key);
+      if (index === -1) return [...prev, { key, ...patch }];
+      const next = [...prev];
+      next[index] = { ...next[index], ...patch };
+      return next;
+    });
+  };
+
+  const removePeer = (peerId) => {
+    const session = peersRef.current.get(peerId);
+    if (session) {
+      session.close();
+      peersRef.current.delete(peerId);
+    }
+    setPeers(prev => {
+      const { [peerId]: removed, ...rest } = prev;
+      return rest;
+    });
+    if (peersRef.current.size === 0) {
+      setStatus(prev => (prev === 'incall' ? 'waiting' : prev));
+    }
+  };
+
+  const closePeers = () => {
+    peersRef.current.forEach(session => session.close());
+    peersRef.current = new Map();
+    setPeers({});
+  };
+
+  // One PeerSession per remote participant, each with its own key exchange.
+  // The CPace channel binds the room and both participant ids, and the
+  // server decides which side of the pair is the polite one
+  const addPeer = (peerId, polite) => {
+    const existing = peersRef.current.get(peerId);
+    if (existing) return existing;
+
+    const socket = socketRef.current;
+    const { room, secret } = credentialsRef.current;
+    const session = new PeerSession({
+      peerId,
+      localId: socket.id,
+      polite,
+      secret,
+      channelId: [room, ...[socket.id, peerId].sort()].join(':'),
+      localStream: localStreamRef.current,
+      rtcConfig: rtcConfigRef.current,
+      // SDP and ICE arrive here already sealed for this peer
+      sendSignal: (type, sealed) => socket.emit(type, { to: peerId, sealed }),
+      sendKeyExchange: (message) => socket.emit('key-exchange', { to: peerId, message }),
+      recoveryTimeoutMs: CALL_RECOVERY_TIMEOUT,
+      onUpdate: (patch) => updatePeer(peerId, patch),
+      // An unrecoverable connection only ends the call with that peer
+      onFailed: () => removePeer(peerId),
+      onChat: (message) => {
+        upsertMessage(`${peerId}:${message.id}`, { kind: 'chat', direction: 'receive', peerId, ...message });
+        setShowChat(true);
+      },
+      onTransfer: (patch) => upsertMessage(`${peerId}:${patch.id}`, { kind: 'file', peerId, ...patch })
+    });
+    peersRef.current.set(peerId, session);
+    setPeers(prev => ({ ...prev, [peerId]: { ...initialPeerState } }));
+    session.start();
+    if (screenShareRef.current) {
+      const { stream, alongsideCamera } = screenShareRef.current;
+      session.startScreenShare(stream, alongsideCamera)
+        .catch(error => console.error('Sharing the screen with a new peer failed:', error));
+    }
+    return session;
+  };
+
+  // Check E2EE support, then preview devices in the lobby. Without
+  // credentials this is the manual path, where the PIN is the secret and
+  // the server only sees a one-way hash of it as the room. Resolves to
+  // whether the lobby is open with camera and microphone ready
+  const handleOpenLobby = async (credentials = null) => {
+    if (!credentials && (pin.length !== 10 || !/^\d+$/.test(pin))) {
+      alert('Please enter a valid 10-digit PIN');
+      return false;
+    }
+
+    // Refuse (or warn about) calls this browser can't encrypt end-to-end
+    if (!e2eeMode) {
+      const message = 'This browser cannot encrypt video frames end-to-end. ' +
+        'Media would only be protected by standard WebRTC transport encryption.';
+      if (E2EE_POLICY === 'block') {
+        alert(`${message}\n\nPlease use a browser with encoded transform support.`);
+        return false;
       }
-    };
+      if (!window.confirm(`${message}\n\nJoin anyway?`)) {
+        return false;
+      }
+    }
 
-    return pc;
+    credentialsRef.current = credentials || await pinRoom(pin);
+    setInvite(credentials);
+    setStatus('lobby');
+    return Boolean(await initializeMedia(mediaSettings));
   };
 
-  // Join room and start call
+  // A fresh random room whose invite link is shown from the lobby on
+  const handleCreateRoom = () => handleOpenLobby(createRoom());
+
+  // Opening an invite link joins that room straight away. If the browser
+  // can't join (no E2EE support, no camera) the link stays in the address
+  // bar; handleJoin takes it out once the join has started. StrictMode runs
+  // this twice in development, which would open a second camera stream
+  useEffect(() => {
+    const linked = readInvite();
+    if (!linked || inviteOpenedRef.current) return;
+    inviteOpenedRef.current = true;
+    handleOpenLobby(linked).then(ready => ready && handleJoin());
+  }, []);
+
+  // Back from the lobby to the PIN screen, releasing camera and microphone
+  const handleLeaveLobby = () => {
+    if (localStreamRef.current) {
+      localStreamRef.current.getTracks().forEach(track => track.stop());
+      localStreamRef.current = null;
+    }
+    setLocalStream(null);
+    setMediaError(null);
+    setInvite(null);
+    credentialsRef.current = null;
+    setStatus('idle');
+  };
+
+  // Join room and start call with the media picked in the lobby
   const handleJoin = async () => {
-    if (pin.length !== 10 || !/^\d+$/.test(pin)) {
-      alert('Please enter a valid 10-digit PIN');
+    if (!localStreamRef.current) return;
+
+    // Relay-only calls can't connect at all without a TURN server; other
+    // calls fall back to STUN, with a warning that strict networks may fail
+    let rtcConfig;
+    try {
+      rtcConfig = await fetchRtcConfig(relayOnly);
+    } catch (error) {
+      console.error('Could not fetch TURN credentials:', error.message);
+      if (relayOnly) {
+        alert(`Relay-only mode needs a TURN server, but its credentials could not be fetched (${error.message}).`);
+        return;
+      }
+      setTurnError(error.message);
+      rtcConfig = { iceServers: FALLBACK_ICE_SERVERS, iceTransportPolicy: 'all' };
+    }
+    if (relayOnly && !rtcConfig.iceServers.some(server => server.username)) {
+      alert('Relay-only mode needs a TURN server, but the signaling server did not provide one.');
       return;
     }
+    rtcConfigRef.current = rtcConfig;
 
+    const { room } = credentialsRef.current;
     setStatus('connecting');
-    currentRoomRef.current = pin;
+    // The invite's secret shouldn't linger in history or get shared again by accident
+    if (readInvite()) clearInviteFromUrl();
+    currentRoomRef.current = room;
+    requestedCapacityRef.current = roomCapacity;
 
-    // Derive encryption key from PIN
-    await cryptoRef.current.deriveKeyFromPIN(pin);
+    const socket = socketRef.current;
 
-    // Initialize media
-    const stream = await initializeMedia();
-    if (!stream) {
-      setStatus('idle');
-      return;
-    }
+    // Setup socket listeners before joining so no response is missed
+    socket.on('roomJoined', (data) => {
+      knockingRef.current = false;
+      setHostId(data.hostId);
+      setRoomOccupancy(data.occupancy);
+      setRoomCapacity(data.capacity);
+      setStatus(data.peers.length > 0 ? 'incall' : 'waiting');
 
-    // Join room via signaling server
-    socketRef.current.emit('join-room', { room: pin });
+      data.peers.forEach(peerId => addPeer(peerId, data.polite));
+    });
 
-    // Setup socket listeners
-    socketRef.current.on('roomJoined', async (data) => {
+    socket.on('userJoined', (data) => {
       setRoomOccupancy(data.occupancy);
-      if (data.occupancy === 1) {
-        setStatus('waiting');
-      } else if (data.occupancy === 2) {
-        // Create offer if second person
-        const pc = await createPeerConnection();
-        const offer = await pc.createOffer();
-        await pc.setLocalDescription(offer);
-        socketRef.current.emit('offer', { room: pin, offer });
-      }
+      setStatus('incall');
+      addPeer(data.userId, data.polite);
     });
 
-    socketRef.current.on('offer', async (data) => {
-      const pc = await createPeerConnection();
-      await pc.setRemoteDescription(new RTCSessionDescription(data.offer));
-      const answer = await pc.createAnswer();
-      await pc.setLocalDescription(answer);
-      socketRef.current.emit('answer', { room: pin, answer });
+    // Someone else is hosting - knock and wait for them to let us in
+    socket.on('waitingForHost', () => {
+      knockingRef.current = true;
+      setStatus('knocking');
+      socket.emit('knock', { name: displayName.trim() });
     });
 
-    socketRef.current.on('answer', async (data) => {
-      await peerConnectionRef.current.setRemoteDescription(
-        new RTCSessionDescription(data.answer)
-      );
+    socket.on('admitted', () => socket.emit('enter-room'));
+
+    socket.on('denied', () => {
+      alert('The host did not let you in.');
+      handleLeave();
     });
 
-    socketRef.current.on('ice-candidate', async (data) => {
-      if (peerConnectionRef.current) {
-        await peerConnectionRef.current.addIceCandidate(
-          new RTCIceCandidate(data.candidate)
-        );
-      }
+    socket.on('lobbyClosed', () => {
+      alert('Everyone left the call before you were let in.');
+      handleLeave();
     });
 
-    socketRef.current.on('userLeft', () => {
+    socket.on('removed', ({ reason } = {}) => {
+      alert(reason === 'inactive'
+        ? 'You were removed from the call because the connection never started.'
+        : 'The host removed you from the call.');
       handleLeave();
     });
 
-    socketRef.current.on('roomFull', () => {
-      alert('Room is full. Only 2 users allowed.');
+    socket.on('roomClosed', ({ reason } = {}) => {
+      alert(ROOM_CLOSED_MESSAGES[reason] || 'This call has ended.');
       handleLeave();
     });
+
+    // Lobby requests, as host
+    socket.on('knock', (knock) => {
+      setKnocks(prev => [...prev.filter(({ userId }) => userId !== knock.userId), knock]);
+    });
+
+    socket.on('knockWithdrawn', ({ userId }) => {
+      setKnocks(prev => prev.filter(knock => knock.userId !== userId));
+    });
+
+    // The host left; whoever is waiting is announced again to the new host
+    socket.on('hostChanged', (data) => {
+      setHostId(data.hostId);
+      setKnocks([]);
+    });
+
+    // Peers are announced by roomJoined/userJoined before they can send anything
+    socket.on('key-exchange', ({ from, message }) => {
+      const session = peersRef.current.get(from);
+      if (session) session.handleKeyExchange(message);
+    });
+
+    // SDP and ICE are sealed per peer - its session opens and applies them
+    ['offer', 'answer', 'ice-candidate'].forEach(type => {
+      socket.on(type, ({ from, sealed }) => {
+        const session = peersRef.current.get(from);
+        if (session) session.receiveSignal(type, sealed);
+      });
+    });
+
+    socket.on('userLeft', (data) => {
+      setRoomOccupancy(data.occupancy);
+      removePeer(data.userId);
+    });
+
+    // The server deliberately doesn't say whether the room is full or we're rate limited
+    socket.on('roomUnavailable', () => {
+      alert('Room unavailable. It may be full, or there were too many join attempts - please try again later.');
+      handleLeave();
+    });
+
+    // Join room via signaling server - if we're still connecting, the
+    // 'connect' handler joins currentRoomRef once the socket is up
+    if (socket.connected) {
+      socket.emit('join-room', { room, capacity: roomCapacity });
+    }
   };
 
   // Leave call and cleanup
   const handleLeave = () => {
-    if (peerConnectionRef.current) {
-      peerConnectionRef.current.close();
-      peerConnectionRef.current = null;
-    }
+    stopScreenShare();
+    closePeers();
 
     if (localStreamRef.current) {
       localStreamRef.current.getTracks().forEach(track => track.stop());
       localStreamRef.current = null;
     }
 
-    if (remoteVideoRef.current) {
-      remoteVideoRef.current.srcObject = null;
-    }
-
-    if (localVideoRef.current) {
-      localVideoRef.current.srcObject = null;
-    }
+    setLocalStream(null);
+    setMediaError(null);
+    setShowDevices(false);
+    setShowStats(false);
 
-    if (socketRef.current && currentRoomRef.current) {
-      socketRef.current.emit('leave-room', { room: currentRoomRef.current });
+    if (socketRef.current) {
+      if (currentRoomRef.current) {
+        socketRef.current.emit('leave-room');
+      }
+      CALL_EVENTS.forEach(event => socketRef.current.off(event));
     }
 
     setStatus('idle');
+    setSignalingError(null);
+    setTurnError(null);
     setPin('');
+    setInvite(null);
+    setHostId(null);
+    setKnocks([]);
+    setRoomOccupancy(0);
+    setMessages(prev => {
+      prev.forEach(message => message.url && URL.revokeObjectURL(message.url));
+      return [];
+    });
+    setShowChat(false);
     currentRoomRef.current = null;
-    cryptoRef.current = new E2EECrypto();
+    credentialsRef.current = null;
+    knockingRef.current = false;
+    rtcConfigRef.current = null;
+  };
+
+  // Host decisions - the server checks that we really are the host
+  const answerKnock = (userId, admit) => {
+    socketRef.current.emit(admit ? 'admit' : 'deny', { userId });
+    setKnocks(prev => prev.filter(knock => knock.userId !== userId));
+  };
+
+  const removeParticipant = (peerId, label) => {
+    if (window.confirm(`Remove ${label} from the call?`)) {
+      socketRef.current.emit('remove-participant', { userId: peerId });
+    }
+  };
+
+  // Pause (or resume) our video to one peer
+  const setPeerAudioOnly = (peerId, audioOnly) => {
+    const session = peersRef.current.get(peerId);
+    if (session) {
+      session.setAudioOnly(audioOnly).catch(error => console.error('Switching audio only failed:', error));
+    }
   };
 
+  // Peers whose data channel is open and keyed
+  const readyDataChannels = () => [...peersRef.current.values()]
+    .map(session => session.data)
+    .filter(data => data && data.ready);
+
+  // Chat goes to every peer, encrypted separately for each
+  const handleSendChat = async (text) => {
+    const results = await Promise.allSettled(readyDataChannels().map(data => data.sendChat(text)));
+    const sent = results.find(result => result.status === 'fulfilled');
+    if (sent) {
+      const { id, sentAt } = sent.value;
+      upsertMessage(`self:${id}`, { kind: 'chat', direction: 'send', peerId: null, text, sentAt });
+    }
+  };
+
+  // Files are hashed once and then streamed to each peer separately
+  const handleSendFiles = async (files) => {
+    for (const file of files) {
+      if (file.size > MAX_FILE_SIZE) {
+        alert(`${file.name} is larger than the ${formatBytes(MAX_FILE_SIZE)} limit.`);
+        continue;
+      }
+      const sha256 = await hashFile(file);
+      readyDataChannels().forEach(data => data.sendFile(file, sha256));
+    }
+  };
+
+  const handleCancelTransfer = (peerId, id) => {
+    const session = peersRef.current.get(peerId);
+    if (session && session.data) session.data.cancelTransfer(id);
+  };
+
+  // Ratchet our sending keys now and ask every peer to do the same
+  const handleRotateKeys = () => {
+    peersRef.current.forEach(session => session.rotateKey({ notify: true }));
+  };
+
+  const peerList = Object.entries(peers);
+  const anyKeyEstablished = peerList.some(([, peer]) => peer.keyState === 'established');
+  const anyKeyMismatch = peerList.some(([, peer]) => peer.keyState === 'mismatch');
+  const reconnecting = signalingState === 'reconnecting' || peerList.some(([, peer]) => peer.recovering);
+  const isHost = Boolean(hostId) && socketRef.current !== null && hostId === socketRef.current.id;
+  const chatEnabled = peerList.some(([, peer]) => peer.dataChannelOpen && peer.keyState === 'established');
+  const peerLabel = (peerId) => {
+    const index = peerList.findIndex(([id]) => id === peerId);
+    return index === -1 ? 'Former participant' : `Participant ${index + 2}`;
+  };
+
+  // Periodic key rotation while any peer has a session key
+  useEffect(() => {
+    if (!anyKeyEstablished) return undefined;
+    const timer = setInterval(() => {
+      peersRef.current.forEach(session => session.rotateKey());
+    }, KEY_ROTATION_INTERVAL);
+    return () => clearInterval(timer);
+  }, [anyKeyEstablished]);
+
   // Toggle video
   const toggleVideo = () => {
     if (localStreamRef.current) {
@@ -385,6 +1213,62 @@ function App() {
     }
   };
 
+  // Share a screen (with tab/system audio where the browser offers it) to every peer
+  const startScreenShare = async () => {
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getDisplayMedia({
+        video: true,
+        audio: true,
+        systemAudio: 'include'
+      });
+    } catch (error) {
+      console.warn('Screen sharing not started:', error.message);
+      return;
+    }
+
+    screenShareRef.current = { stream, alongsideCamera: shareAlongsideCamera };
+    // The browser's own "Stop sharing" bar ends the track
+    stream.getVideoTracks()[0].onended = () => stopScreenShare();
+    peersRef.current.forEach(session => {
+      session.startScreenShare(stream, shareAlongsideCamera)
+        .catch(error => console.error('Starting screen share failed:', error));
+    });
+    setScreenStream(stream);
+  };
+
+  // Stop sharing and put the camera back
+  const stopScreenShare = () => {
+    const share = screenShareRef.current;
+    if (!share) return;
+    screenShareRef.current = null;
+    share.stream.getTracks().forEach(track => track.stop());
+    peersRef.current.forEach(session => {
+      session.stopScreenShare().catch(error => console.error('Stopping screen share failed:', error));
+    });
+    setScreenStream(null);
+  };
+
+  // Fall back to audio only once the adaptive policy runs out of video levels
+  useEffect(() => {
+    if (!autoAudioOnly) return;
+    Object.entries(peers).forEach(([peerId, peer]) => {
+      if (peer.quality && peer.quality.poorConnection && !peer.audioOnly) {
+        setPeerAudioOnly(peerId, true);
+      }
+    });
+  }, [peers, autoAudioOnly]);
+
+  // Local preview of the shared screen
+  useEffect(() => {
+    if (screenVideoRef.current) {
+      screenVideoRef.current.srcObject = screenStream;
+    }
+  }, [screenStream]);
+
+  const tileCount = 1 + (screenStream ? 1 : 0) +
+    peerList.reduce((count, [, peer]) => count + (peer.screenStream ? 2 : 1), 0);
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-pink-900">
       <div className="container mx-auto px-4 py-8">
@@ -416,15 +1300,52 @@ function App() {
                 placeholder="Enter 10-digit PIN"
                 className="w-full px-4 py-3 bg-white/20 border border-white/30 rounded-lg text-white placeholder-gray-300 text-center text-xl tracking-widest focus:outline-none focus:ring-2 focus:ring-green-400"
               />
+
+              <label className="flex items-center justify-between text-gray-300 text-sm">
+                <span>Room size (if you're the first to join)</span>
+                <select
+                  value={roomCapacity}
+                  onChange={(e) => setRoomCapacity(Number(e.target.value))}
+                  className="px-3 py-2 bg-white/20 border border-white/30 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-green-400"
+                >
+                  {ROOM_CAPACITIES.map(size => (
+                    <option key={size} value={size} className="text-black">{size} people</option>
+                  ))}
+                </select>
+              </label>
+
+              <label className="flex items-center gap-2 text-gray-300 text-sm">
+                <input
+                  type="checkbox"
+                  checked={relayOnly}
+                  onChange={(e) => setRelayOnly(e.target.checked)}
+                  className="accent-green-500"
+                />
+                Hide my IP address (relay all media through TURN)
+              </label>
               
               <button
-                onClick={handleJoin}
+                onClick={() => handleOpenLobby()}
                 disabled={pin.length !== 10}
                 className="w-full py-3 bg-green-500 hover:bg-green-600 disabled:bg-gray-500 disabled:cursor-not-allowed text-white font-semibold rounded-lg transition-all flex items-center justify-center gap-2"
               >
                 <Phone className="w-5 h-5" />
                 Join Call
               </button>
+
+              <div className="flex items-center gap-3 text-gray-400 text-sm">
+                <div className="flex-1 border-t border-white/20" />
+                or
+                <div className="flex-1 border-t border-white/20" />
+              </div>
+
+              <button
+                onClick={handleCreateRoom}
+                className="w-full py-3 bg-white/20 hover:bg-white/30 text-white font-semibold rounded-lg transition-all flex items-center justify-center gap-2"
+              >
+                <Link className="w-5 h-5" />
+                Create room with invite link
+              </button>
             </div>
 
             <div className="mt-6 p-4 bg-white/5 rounded-lg">
@@ -434,44 +1355,224 @@ function App() {
                   <p className="font-semibold mb-1">Privacy First</p>
                   <ul className="space-y-1 text-xs">
                     <li>• AES-GCM encryption on every frame</li>
-                    <li>• Keys derived from your PIN</li>
+                    <li>• Fresh session key per call, agreed via PIN or invite link (CPace)</li>
                     <li>• Server never sees your media</li>
-                    <li>• Maximum 2 users per room</li>
+                    <li>• Up to {ROOM_CAPACITIES[ROOM_CAPACITIES.length - 1]} people per room, each pair keyed separately</li>
                   </ul>
                 </div>
               </div>
             </div>
+
+            <div className="mt-4 flex justify-center text-gray-300">
+              <SignalingIndicator state={signalingState} />
+            </div>
           </div>
         )}
 
-        {(status === 'connecting' || status === 'waiting' || status === 'incall') && (
+        {status === 'lobby' && (
+          <div className="max-w-2xl mx-auto bg-white/10 backdrop-blur-lg rounded-2xl p-8 shadow-2xl space-y-4">
+            <h2 className="text-2xl font-semibold text-white text-center">
+              Check your camera and microphone
+            </h2>
+
+            <div className="relative bg-black rounded-xl overflow-hidden aspect-video">
+              <video
+                ref={localVideoRef}
+                autoPlay
+                muted
+                playsInline
+                className="w-full h-full object-cover"
+              />
+              {!localStream && !mediaError && (
+                <div className="absolute inset-0 flex items-center justify-center text-gray-400">
+                  Starting camera...
+                </div>
+              )}
+            </div>
+
+            {mediaError && (
+              <div className="bg-red-500/20 border border-red-400/50 rounded-lg p-4 flex items-start justify-between gap-3 text-white">
+                <p className="text-sm">{mediaError}</p>
+                <button
+                  onClick={() => (localStream ? setMediaError(null) : initializeMedia(mediaSettings))}
+                  className="text-sm font-semibold text-gray-200 hover:text-white whitespace-nowrap"
+                >
+                  {localStream ? 'Dismiss' : 'Try again'}
+                </button>
+              </div>
+            )}
+
+            <DeviceSettings
+              devices={devices}
+              settings={mediaSettings}
+              stream={localStream}
+              onDeviceChange={changeDevice}
+              onResolutionChange={changeResolution}
+            />
+
+            <label className="block space-y-1 text-sm text-gray-300">
+              <span>Your name (shown to the host if you have to knock)</span>
+              <input
+                type="text"
+                maxLength={64}
+                value={displayName}
+                onChange={(e) => setDisplayName(e.target.value)}
+                placeholder="Guest"
+                className="w-full px-3 py-2 bg-white/20 border border-white/30 rounded-lg text-white placeholder-gray-300 focus:outline-none focus:ring-2 focus:ring-green-400"
+              />
+            </label>
+
+            {invite && (
+              <div className="space-y-2">
+                <p className="text-sm text-gray-300">
+                  Anyone with this link can join the call - share it privately.
+                </p>
+                <InviteLink invite={invite} />
+              </div>
+            )}
+
+            <div className="flex gap-3">
+              <button
+                onClick={handleLeaveLobby}
+                className="flex-1 py-3 bg-white/20 hover:bg-white/30 text-white font-semibold rounded-lg transition-all"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleJoin}
+                disabled={!localStream}
+                className="flex-1 py-3 bg-green-500 hover:bg-green-600 disabled:bg-gray-500 disabled:cursor-not-allowed text-white font-semibold rounded-lg transition-all flex items-center justify-center gap-2"
+              >
+                <Phone className="w-5 h-5" />
+                Join now
+              </button>
+            </div>
+          </div>
+        )}
+
+        {(status === 'connecting' || status === 'knocking' || status === 'waiting' || status === 'incall') && (
           <div className="space-y-4">
             {/* Status Bar */}
             <div className="max-w-4xl mx-auto bg-white/10 backdrop-blur-lg rounded-lg p-4">
               <div className="flex items-center justify-between">
                 <div className="flex items-center gap-3">
                   <div className={`w-3 h-3 rounded-full ${
-                    status === 'incall' ? 'bg-green-400 animate-pulse' : 'bg-yellow-400 animate-pulse'
+                    status === 'incall' && !reconnecting ? 'bg-green-400 animate-pulse' : 'bg-yellow-400 animate-pulse'
                   }`} />
                   <span className="text-white font-medium">
                     {status === 'connecting' && 'Connecting...'}
-                    {status === 'waiting' && 'Waiting for peer...'}
-                    {status === 'incall' && 'Connected'}
+                    {status === 'knocking' && 'Waiting for the host to let you in...'}
+                    {status !== 'connecting' && status !== 'knocking' && reconnecting && 'Reconnecting…'}
+                    {status === 'waiting' && !reconnecting && 'Waiting for others to join...'}
+                    {status === 'incall' && !reconnecting && 'Connected'}
                   </span>
                   <div className="flex items-center gap-1 text-gray-300">
                     <Users className="w-4 h-4" />
-                    <span className="text-sm">{roomOccupancy}/2</span>
+                    <span className="text-sm">{roomOccupancy}/{roomCapacity}</span>
                   </div>
+                  {isHost && (
+                    <span className="flex items-center gap-1 text-sm text-yellow-300">
+                      <Crown className="w-4 h-4" />
+                      Host
+                    </span>
+                  )}
                 </div>
-                <div className="flex items-center gap-2 text-gray-300">
-                  <Shield className="w-4 h-4 text-green-400" />
-                  <span className="text-sm">Encrypted</span>
+                <div className="flex items-center gap-4 text-gray-300">
+                  <SignalingIndicator state={signalingState} />
+                  <E2EEBadge peers={peers} />
                 </div>
               </div>
+              {invite && (
+                <div className="mt-3">
+                  <InviteLink invite={invite} />
+                </div>
+              )}
             </div>
 
-            {/* Video Grid */}
-            <div className="max-w-6xl mx-auto grid grid-cols-1 md:grid-cols-2 gap-4">
+            {isHost && knocks.length > 0 && (
+              <KnockPanel
+                knocks={knocks}
+                onAdmit={(userId) => answerKnock(userId, true)}
+                onDeny={(userId) => answerKnock(userId, false)}
+              />
+            )}
+
+            {signalingError && (
+              <div className="max-w-4xl mx-auto bg-yellow-500/20 border border-yellow-400/50 rounded-lg p-4 flex items-start justify-between gap-3 text-white">
+                <div>
+                  <p className="font-semibold">Signaling server rejected a message</p>
+                  <p className="text-sm text-gray-200">
+                    {signalingError.message} ({signalingError.code} on {signalingError.event})
+                  </p>
+                </div>
+                <button
+                  onClick={() => setSignalingError(null)}
+                  className="text-sm text-gray-200 hover:text-white"
+                >
+                  Dismiss
+                </button>
+              </div>
+            )}
+
+            {turnError && (
+              <div className="max-w-4xl mx-auto bg-yellow-500/20 border border-yellow-400/50 rounded-lg p-4 flex items-start justify-between gap-3 text-white">
+                <div>
+                  <p className="font-semibold">No TURN relay for this call</p>
+                  <p className="text-sm text-gray-200">
+                    Could not get relay credentials ({turnError}). Peers behind strict firewalls or NATs may not connect.
+                  </p>
+                </div>
+                <button
+                  onClick={() => setTurnError(null)}
+                  className="text-sm text-gray-200 hover:text-white"
+                >
+                  Dismiss
+                </button>
+              </div>
+            )}
+
+            {peerList.map(([peerId, peer]) => (peer.audioOnly || (peer.quality && peer.quality.poorConnection)) && (
+              <div key={peerId} className="max-w-4xl mx-auto bg-yellow-500/20 border border-yellow-400/50 rounded-lg p-4 flex items-center justify-between gap-3 text-white">
+                <p className="text-sm">
+                  {peer.audioOnly
+                    ? `Your video to ${peerLabel(peerId)} is paused to keep the audio clear.`
+                    : `The connection to ${peerLabel(peerId)} is struggling even at the lowest video quality.`}
+                </p>
+                <button
+                  onClick={() => setPeerAudioOnly(peerId, !peer.audioOnly)}
+                  className="text-sm font-semibold text-gray-200 hover:text-white whitespace-nowrap"
+                >
+                  {peer.audioOnly ? 'Resume video' : 'Switch to audio only'}
+                </button>
+              </div>
+            ))}
+
+            {anyKeyMismatch && (
+              <div className="max-w-4xl mx-auto bg-red-500/20 border border-red-400/50 rounded-lg p-4 flex items-start gap-3 text-white">
+                <ShieldAlert className="w-5 h-5 text-red-400 flex-shrink-0 mt-0.5" />
+                <div>
+                  <p className="font-semibold">Keys don't match</p>
+                  <p className="text-sm text-gray-200">
+                    Someone in this call entered a different PIN, so you can't decrypt each other's media.
+                    Hang up and rejoin with the same PIN.
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {peerList.map(([peerId, peer]) => peer.sas && peer.keyState === 'established' && (
+              <SasPanel
+                key={peerId}
+                label={peerLabel(peerId)}
+                sas={peer.sas}
+                verified={peer.sasVerified}
+                fingerprintsChanged={peer.fingerprintsChanged}
+                onVerify={() => updatePeer(peerId, { sasVerified: true, fingerprintsChanged: false })}
+              />
+            ))}
+
+            {/* Video Grid - one tile per participant */}
+            <div className={`max-w-6xl mx-auto grid grid-cols-1 md:grid-cols-2 ${tileCount > 4 ? 'lg:grid-cols-3' : ''} gap-4`}>
               {/* Local Video */}
               <div className="relative bg-black rounded-xl overflow-hidden shadow-2xl aspect-video">
                 <video
@@ -486,32 +1587,50 @@ function App() {
                 </div>
               </div>
 
-              {/* Remote Video */}
-              <div className="relative bg-gray-800 rounded-xl overflow-hidden shadow-2xl aspect-video">
-                <video
-                  ref={remoteVideoRef}
-                  autoPlay
-                  playsInline
-                  className="w-full h-full object-cover"
-                />
-                {status !== 'incall' && (
+              {/* Our shared screen */}
+              {screenStream && (
+                <div className="relative bg-black rounded-xl overflow-hidden shadow-2xl aspect-video">
+                  <video
+                    ref={screenVideoRef}
+                    autoPlay
+                    muted
+                    playsInline
+                    className="w-full h-full object-contain"
+                  />
+                  <div className="absolute bottom-4 left-4 bg-black/60 px-3 py-1 rounded-full text-white text-sm">
+                    Your screen
+                  </div>
+                </div>
+              )}
+
+              {/* Remote Videos - plus a tile for each screen shared next to a camera */}
+              {peerList.map(([peerId, peer]) => (
+                <React.Fragment key={peerId}>
+                  <RemoteTile
+                    label={peerLabel(peerId)}
+                    peer={peer}
+                    onRemove={isHost ? () => removeParticipant(peerId, peerLabel(peerId)) : undefined}
+                  />
+                  {peer.screenStream && (
+                    <RemoteTile label={`${peerLabel(peerId)}'s screen`} peer={{ ...peer, stream: peer.screenStream }} />
+                  )}
+                </React.Fragment>
+              ))}
+
+              {peerList.length === 0 && (
+                <div className="relative bg-gray-800 rounded-xl overflow-hidden shadow-2xl aspect-video">
                   <div className="absolute inset-0 flex items-center justify-center">
                     <div className="text-center">
                       <Users className="w-16 h-16 text-gray-500 mx-auto mb-2" />
-                      <p className="text-gray-400">Waiting for peer...</p>
+                      <p className="text-gray-400">Waiting for others to join...</p>
                     </div>
                   </div>
-                )}
-                {status === 'incall' && (
-                  <div className="absolute bottom-4 left-4 bg-black/60 px-3 py-1 rounded-full text-white text-sm">
-                    Peer
-                  </div>
-                )}
-              </div>
+                </div>
+              )}
             </div>
 
             {/* Controls */}
-            <div className="max-w-md mx-auto flex items-center justify-center gap-4">
+            <div className="max-w-2xl mx-auto flex flex-wrap items-center justify-center gap-4">
               <button
                 onClick={toggleVideo}
                 className={`p-4 rounded-full transition-all ${
@@ -534,6 +1653,57 @@ function App() {
                 {isAudioEnabled ? <Mic className="w-6 h-6" /> : <MicOff className="w-6 h-6" />}
               </button>
 
+              {CAN_SHARE_SCREEN && (
+                <button
+                  onClick={screenStream ? stopScreenShare : startScreenShare}
+                  title={screenStream ? 'Stop sharing' : 'Share screen'}
+                  className={`p-4 rounded-full transition-all text-white ${
+                    screenStream ? 'bg-green-500 hover:bg-green-600' : 'bg-white/20 hover:bg-white/30'
+                  }`}
+                >
+                  {screenStream ? <ScreenShareOff className="w-6 h-6" /> : <ScreenShare className="w-6 h-6" />}
+                </button>
+              )}
+
+              <button
+                onClick={() => setShowDevices(!showDevices)}
+                title="Camera and microphone"
+                className={`p-4 rounded-full transition-all text-white ${
+                  showDevices ? 'bg-green-500 hover:bg-green-600' : 'bg-white/20 hover:bg-white/30'
+                }`}
+              >
+                <Settings className="w-6 h-6" />
+              </button>
+
+              <button
+                onClick={() => setShowStats(!showStats)}
+                title="Connection quality"
+                className={`p-4 rounded-full transition-all text-white ${
+                  showStats ? 'bg-green-500 hover:bg-green-600' : 'bg-white/20 hover:bg-white/30'
+                }`}
+              >
+                <Activity className="w-6 h-6" />
+              </button>
+
+              <button
+                onClick={() => setShowChat(!showChat)}
+                title="Chat and files"
+                className={`p-4 rounded-full transition-all text-white ${
+                  showChat ? 'bg-green-500 hover:bg-green-600' : 'bg-white/20 hover:bg-white/30'
+                }`}
+              >
+                <MessageSquare className="w-6 h-6" />
+              </button>
+
+              <button
+                onClick={handleRotateKeys}
+                disabled={!anyKeyEstablished}
+                title="Rotate encryption keys"
+                className="p-4 rounded-full bg-white/20 hover:bg-white/30 disabled:opacity-50 disabled:cursor-not-allowed text-white transition-all"
+              >
+                <RefreshCw className="w-6 h-6" />
+              </button>
+
               <button
                 onClick={handleLeave}
                 className="p-4 rounded-full bg-red-500 hover:bg-red-600 text-white transition-all"
@@ -541,6 +1711,52 @@ function App() {
                 <PhoneOff className="w-6 h-6" />
               </button>
             </div>
+
+            {CAN_SHARE_SCREEN && (
+              <label className="flex items-center justify-center gap-2 text-gray-300 text-sm">
+                <input
+                  type="checkbox"
+                  checked={shareAlongsideCamera}
+                  disabled={!!screenStream}
+                  onChange={(e) => setShareAlongsideCamera(e.target.checked)}
+                  className="accent-green-500"
+                />
+                Keep sending my camera while sharing the screen
+              </label>
+            )}
+
+            {showStats && (
+              <StatsPanel
+                peers={peerList}
+                peerLabel={peerLabel}
+                autoAudioOnly={autoAudioOnly}
+                onAutoAudioOnlyChange={setAutoAudioOnly}
+              />
+            )}
+
+            {showDevices && (
+              <div className="max-w-4xl mx-auto rounded-lg p-4 bg-white/10 backdrop-blur-lg space-y-3">
+                {mediaError && <p className="text-sm text-red-300">{mediaError}</p>}
+                <DeviceSettings
+                  devices={devices}
+                  settings={mediaSettings}
+                  stream={localStream}
+                  onDeviceChange={changeDevice}
+                  onResolutionChange={changeResolution}
+                />
+              </div>
+            )}
+
+            {showChat && (
+              <ChatPanel
+                messages={messages}
+                enabled={chatEnabled}
+                peerLabel={peerLabel}
+                onSend={handleSendChat}
+                onSendFiles={handleSendFiles}
+                onCancel={handleCancelTransfer}
+              />
+            )}
           </div>
         )}
       </div>
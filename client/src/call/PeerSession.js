@@ -0,0 +1,551 @@
+import { FrameCryptor, e2eePeerConfig, trackKey } from '../crypto/FrameCryptor';
+import { CPaceSession } from '../crypto/cpace';
+import { E2EECrypto } from '../crypto/E2EECrypto';
+import { computeSas, parseFingerprints } from '../crypto/sas';
+import { SignalingCipher } from '../crypto/signaling';
+import { SecureDataChannel } from './SecureDataChannel';
+import { AdaptiveSender, SEND_LEVELS, STATS_INTERVAL_MS, collectStats } from './quality';
+
+// One remote participant in a mesh call: its RTCPeerConnection, its own
+// frame cryptor worker and its own pairwise CPace key exchange. UI-facing
+// state is pushed out through onUpdate(patch | prev => patch).
+//
+// Negotiation follows the W3C perfect-negotiation pattern: either side may
+// (re)negotiate at any time, and when both offer at once the polite peer
+// rolls back and answers while the impolite peer ignores the other offer.
+// SDP and ICE are sealed with a key derived from the pairwise CPace session
+// key, so negotiation only starts once that key is confirmed.
+
+// Most network blips heal on their own; restart ICE only if this one doesn't
+const ICE_RESTART_DELAY_MS = 3000;
+
+export const initialPeerState = {
+  connectionState: 'new',
+  recovering: false, // connection dropped, ICE restart in progress
+  keyState: 'pending', // pending, established, mismatch
+  tracks: {}, // trackId -> { operation, kind, supported, frames, errors, ... }
+  stream: null,
+  screenStream: null, // shared screen sent alongside the camera
+  dataChannelOpen: false, // chat and file transfer available
+  quality: null, // latest collectStats() summary plus the adaptive sending state
+  audioOnly: false, // our video to this peer is paused
+  sas: null, // { emoji, digits }
+  sasVerified: false,
+  fingerprintsChanged: false
+};
+
+export class PeerSession {
+  constructor({ peerId, localId, polite, secret, channelId, localStream, rtcConfig, recoveryTimeoutMs, sendSignal, sendKeyExchange, onUpdate, onFailed, onChat, onTransfer }) {
+    this.peerId = peerId;
+    this.localId = localId;
+    this.polite = polite;
+    this.secret = secret;
+    this.channelId = channelId;
+    this.localStream = localStream;
+    this.rtcConfig = rtcConfig;
+    this.recoveryTimeoutMs = recoveryTimeoutMs;
+    this.sendSignal = sendSignal;
+    this.sendKeyExchange = sendKeyExchange;
+    this.onUpdate = onUpdate;
+    this.onFailed = onFailed;
+    this.onChat = onChat;
+    this.onTransfer = onTransfer;
+
+    this.pc = null;
+    this.makingOffer = false;
+    this.ignoreOffer = false;
+    this.pendingCandidates = []; // candidates that arrived before the remote description
+    this.recovering = false;
+    this.restartTimer = null;
+    this.recoveryTimer = null;
+    this.pake = null;
+    this.keyExchangeQueue = Promise.resolve();
+    // Sealed SDP/ICE in each direction waits here for the session key
+    this.signaling = null;
+    this.signalingReady = new Promise(resolve => {
+      this.resolveSignalingReady = resolve;
+    });
+    this.outgoingSignals = Promise.resolve();
+    this.incomingSignals = Promise.resolve();
+    this.pendingScreenShare = null; // { screenStream, alongsideCamera } until the connection exists
+    this.rekeySeq = 0; // last rekey we sent
+    this.peerRekeySeq = 0; // last authenticated rekey from the peer
+    this.fingerprints = null; // { local, remote } the SAS was computed from
+    this.keyState = 'pending';
+    // Per-peer E2EE transforms run in their own worker
+    this.cryptor = new FrameCryptor(stats => this.handleE2EEStats(stats));
+    // Chat and files use a key chain of their own, on the main thread
+    this.dataCrypto = new E2EECrypto('data');
+    this.data = null;
+    this.videoSender = null; // carries the camera, or the screen in its place
+    this.audioSender = null;
+    this.sharingInPlace = false; // the screen has replaced the camera on videoSender
+    this.screenSenders = []; // extra senders added for a screen share
+    this.transformed = new WeakSet(); // endpoints already handed to the cryptor
+    this.remoteStream = null;
+    this.statsTimer = null;
+    this.statsSample = null;
+    this.adaptive = new AdaptiveSender();
+  }
+
+  // Start the key exchange; the peer connection opens once it is confirmed
+  start() {
+    this.startKeyExchange();
+    this.statsTimer = setInterval(() => {
+      this.updateQuality().catch(error => console.warn(`Stats for ${this.peerId} failed:`, error));
+    }, STATS_INTERVAL_MS);
+  }
+
+  // Send our CPace share once; the PIN never leaves this device
+  startKeyExchange() {
+    if (!this.pake) {
+      this.pake = new CPaceSession(this.secret, this.channelId);
+      this.sendKeyExchange({ type: 'share', share: this.pake.getShare() });
+    }
+    return this.pake;
+  }
+
+  // Process key exchange messages strictly in arrival order
+  handleKeyExchange(message) {
+    this.keyExchangeQueue = this.keyExchangeQueue
+      .then(() => this.processKeyExchange(message))
+      .catch(error => console.error(`Key exchange with ${this.peerId} failed:`, error));
+  }
+
+  async processKeyExchange({ type, share, tag, seq }) {
+    // The exchange is over: a late share or confirm can only be forged or
+    // replayed, and must not undo the established key
+    if (this.keyState === 'established') {
+      if (type === 'rekey') await this.processRekey(seq, tag);
+      return;
+    }
+
+    if (type === 'share') {
+      const session = this.startKeyExchange();
+      await session.finish(share);
+      this.sendKeyExchange({ type: 'confirm', tag: await session.getConfirmation() });
+    } else if (type === 'confirm') {
+      const session = this.pake;
+      if (session && await session.verifyConfirmation(tag)) {
+        this.cryptor.setSessionKey(session.sessionKey, session.getSenderId(), session.getPeerSenderId());
+        this.signaling = await SignalingCipher.fromSessionKey(session.sessionKey, this.channelId);
+        // setSessionKey wipes the key it is given - hand over a copy
+        await this.dataCrypto.setSessionKey(session.sessionKey.slice(), session.getSenderId(), session.getPeerSenderId());
+        session.forget();
+        this.setKeyState('established');
+        this.refreshSas();
+        console.log(`E2EE session key established with ${this.peerId}`);
+        this.resolveSignalingReady();
+        // Adding our tracks fires negotiationneeded, so no explicit offer is needed
+        if (!this.pc) this.createPeerConnection();
+      } else {
+        this.setKeyState('mismatch');
+        console.error(`Key confirmation with ${this.peerId} failed - PINs do not match`);
+      }
+    }
+  }
+
+  // Peer rotated on demand - ratchet our direction too. Carries no key
+  // material, only a tag proving it came from the peer
+  async processRekey(seq, tag) {
+    if (!Number.isInteger(seq) || seq <= this.peerRekeySeq || !tag || !(await this.pake.verifyRekey(seq, tag))) {
+      console.warn(`Ignored an unauthenticated rekey from ${this.peerId}`);
+      return;
+    }
+    this.peerRekeySeq = seq;
+    this.cryptor.rotateKey();
+    this.dataCrypto.rotateKey();
+  }
+
+  // Seal and send SDP/ICE in call order - sealing is async, and a candidate
+  // must never overtake the offer it belongs to
+  signal(type, payload) {
+    this.outgoingSignals = this.outgoingSignals
+      .then(async () => {
+        await this.signalingReady;
+        this.sendSignal(type, await this.signaling.seal(type, payload, this.peerId));
+      })
+      .catch(error => console.error(`Sending ${type} to ${this.peerId} failed:`, error));
+  }
+
+  // Open a sealed offer, answer or candidate from the peer and apply it in
+  // arrival order. Anything that doesn't authenticate is dropped
+  receiveSignal(type, sealed) {
+    this.incomingSignals = this.incomingSignals
+      .then(async () => {
+        await this.signalingReady;
+        const payload = await this.signaling.open(type, sealed, this.localId);
+        if (payload === null) {
+          console.warn(`Dropped unauthenticated ${type} from ${this.peerId}`);
+          return;
+        }
+        if (type === 'ice-candidate') {
+          await this.handleCandidate(payload);
+        } else {
+          await this.handleDescription(payload);
+        }
+      })
+      .catch(error => console.error(`Handling ${type} from ${this.peerId} failed:`, error));
+  }
+
+  setKeyState(keyState) {
+    this.keyState = keyState;
+    this.onUpdate({ keyState });
+  }
+
+  // Ratchet our sending key; notify asks the peer to ratchet theirs too
+  rotateKey({ notify = false } = {}) {
+    if (this.keyState !== 'established') return;
+    this.cryptor.rotateKey();
+    this.dataCrypto.rotateKey();
+    if (notify) {
+      const seq = ++this.rekeySeq;
+      // Queued with the key exchange so requests go out in order
+      this.keyExchangeQueue = this.keyExchangeQueue
+        .then(async () => this.sendKeyExchange({ type: 'rekey', seq, tag: await this.pake.getRekeyTag(seq) }))
+        .catch(error => console.error(`Rekey request to ${this.peerId} failed:`, error));
+    }
+  }
+
+  // Attach the encrypt/decrypt transform and track its E2EE state
+  attachFrameCryptor(endpoint, operation) {
+    // Transceivers are reused after renegotiation - a transform stays attached
+    if (this.transformed.has(endpoint)) return;
+    this.transformed.add(endpoint);
+
+    const supported = this.cryptor.attach(endpoint, operation);
+    if (!supported) {
+      console.warn(`No encoded transform support - ${endpoint.track.kind} is not end-to-end encrypted`);
+    }
+    this.onUpdate(prev => ({
+      tracks: {
+        ...prev.tracks,
+        [trackKey(endpoint, operation)]: { operation, kind: endpoint.track.kind, supported }
+      }
+    }));
+  }
+
+  // Merge the worker's periodic frame counters into the track states
+  handleE2EEStats(stats) {
+    this.onUpdate(prev => {
+      const tracks = { ...prev.tracks };
+      Object.entries(stats).forEach(([id, counters]) => {
+        tracks[id] = { ...tracks[id], ...counters, supported: true };
+      });
+      return { tracks };
+    });
+  }
+
+  // Recompute the SAS once both the session key and both DTLS fingerprints are known
+  async refreshSas() {
+    if (!this.pake || !this.pake.sasSecret || !this.fingerprints) return;
+    const { local, remote } = this.fingerprints;
+    this.onUpdate({ sas: await computeSas(this.pake.sasSecret, local, remote) });
+  }
+
+  // Pick up the fingerprints from the SDP exchanged in offer/answer. A
+  // change mid-call means a different DTLS endpoint - verification is reset
+  updateFingerprints() {
+    const { localDescription, remoteDescription } = this.pc;
+    const local = parseFingerprints(localDescription && localDescription.sdp);
+    const remote = parseFingerprints(remoteDescription && remoteDescription.sdp);
+    if (local.length === 0 || remote.length === 0) return;
+
+    const previous = this.fingerprints;
+    if (previous && (previous.local.join() !== local.join() || previous.remote.join() !== remote.join())) {
+      console.warn(`DTLS fingerprints of ${this.peerId} changed mid-call`);
+      this.onUpdate({ fingerprintsChanged: true, sasVerified: false });
+    }
+    this.fingerprints = { local, remote };
+    this.refreshSas();
+  }
+
+  // Create peer connection with E2EE
+  createPeerConnection() {
+    const pc = new RTCPeerConnection({ ...this.rtcConfig, ...e2eePeerConfig });
+    this.pc = pc;
+
+    // Add local tracks with E2EE
+    const stream = this.localStream;
+    if (stream) {
+      stream.getTracks().forEach(track => {
+        const sender = pc.addTrack(track, stream);
+        if (track.kind === 'video') this.videoSender = sender;
+        if (track.kind === 'audio') this.audioSender = sender;
+        // Setup encryption for outgoing streams
+        this.attachFrameCryptor(sender, 'encrypt');
+      });
+    }
+
+    // Chat and file channel, negotiated in-band on both sides with a fixed
+    // id so neither has to wait for the other to open it
+    const channel = pc.createDataChannel('secure-data', { negotiated: true, id: 0, ordered: true });
+    channel.onopen = () => this.onUpdate({ dataChannelOpen: true });
+    this.data = new SecureDataChannel(channel, this.dataCrypto, {
+      onChat: this.onChat,
+      onTransfer: this.onTransfer
+    });
+    channel.addEventListener('close', () => this.onUpdate({ dataChannelOpen: false }));
+
+    // Handle incoming tracks with E2EE
+    pc.ontrack = (event) => {
+      console.log(`Received remote track from ${this.peerId}`);
+      const [stream] = event.streams;
+      if (!this.remoteStream || stream.id === this.remoteStream.id) {
+        // The first stream is the camera
+        this.remoteStream = stream;
+        this.onUpdate({ stream });
+      } else {
+        // Any other stream is a screen shared next to it, gone once its tracks are removed
+        stream.onremovetrack = () => {
+          if (stream.getTracks().length === 0) this.onUpdate({ screenStream: null });
+        };
+        this.onUpdate({ screenStream: stream });
+      }
+
+      // Setup decryption for incoming streams
+      this.attachFrameCryptor(event.receiver, 'decrypt');
+    };
+
+    // Handle ICE candidates
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.signal('ice-candidate', event.candidate.toJSON());
+      }
+    };
+
+    // Any change that needs (re)negotiation - tracks, ICE restart - ends up here
+    pc.onnegotiationneeded = async () => {
+      try {
+        this.makingOffer = true;
+        await pc.setLocalDescription();
+        this.signal('offer', pc.localDescription.toJSON());
+      } catch (error) {
+        console.error(`Negotiation with ${this.peerId} failed:`, error);
+      } finally {
+        this.makingOffer = false;
+      }
+    };
+
+    // Connection state monitoring - drops are recovered, not hung up on
+    pc.onconnectionstatechange = () => {
+      console.log(`Connection state with ${this.peerId}:`, pc.connectionState);
+      this.onUpdate({ connectionState: pc.connectionState });
+      if (pc.connectionState === 'connected') {
+        this.endRecovery();
+      } else if (pc.connectionState === 'disconnected' || pc.connectionState === 'failed') {
+        this.recover(pc.connectionState === 'failed');
+      }
+    };
+
+    // A screen shared before the connection existed
+    if (this.pendingScreenShare) {
+      const { screenStream, alongsideCamera } = this.pendingScreenShare;
+      this.pendingScreenShare = null;
+      this.startScreenShare(screenStream, alongsideCamera)
+        .catch(error => console.error(`Sharing the screen with ${this.peerId} failed:`, error));
+    }
+
+    return pc;
+  }
+
+  // Share a screen in place of the camera (replaceTrack - the encrypt
+  // transform stays on the sender, no renegotiation) or next to it as
+  // extra tracks. Tab/system audio always goes out as an extra track, with
+  // the camera stream when replacing so the peer hears it from the same tile
+  async startScreenShare(screenStream, alongsideCamera) {
+    const pc = this.pc;
+    if (!pc) {
+      this.pendingScreenShare = { screenStream, alongsideCamera };
+      return;
+    }
+
+    const [video] = screenStream.getVideoTracks();
+    const extraTracks = alongsideCamera ? screenStream.getTracks() : screenStream.getAudioTracks();
+    const associatedStream = alongsideCamera ? screenStream : this.localStream;
+
+    if (!alongsideCamera && this.videoSender) {
+      this.sharingInPlace = true;
+      await this.videoSender.replaceTrack(video);
+    }
+    extraTracks.forEach(track => {
+      const sender = pc.addTrack(track, associatedStream);
+      this.attachFrameCryptor(sender, 'encrypt');
+      this.screenSenders.push(sender);
+    });
+  }
+
+  // Remove the screen tracks and put the camera back on its sender
+  async stopScreenShare() {
+    const pc = this.pc;
+    this.pendingScreenShare = null;
+    if (!pc) return;
+
+    this.screenSenders.forEach(sender => pc.removeTrack(sender));
+    this.screenSenders = [];
+    this.sharingInPlace = false;
+    const [camera] = this.localStream ? this.localStream.getVideoTracks() : [];
+    if (this.videoSender && camera && this.videoSender.track !== camera) {
+      await this.videoSender.replaceTrack(camera);
+    }
+  }
+
+  // Swap in another camera or microphone - the sender keeps its encrypt
+  // transform and nothing is renegotiated. A camera swapped while the screen
+  // is shown in its place goes out once sharing stops
+  async replaceLocalTrack(track) {
+    const sender = track.kind === 'video' ? this.videoSender : this.audioSender;
+    if (!sender || (track.kind === 'video' && this.sharingInPlace)) return;
+    await sender.replaceTrack(track);
+  }
+
+  // Poll getStats() and step our video down (or back up) with the loss the peer reports
+  async updateQuality() {
+    const pc = this.pc;
+    if (!pc || pc.connectionState !== 'connected') return;
+
+    const { quality, sample } = await collectStats(pc, this.statsSample);
+    this.statsSample = sample;
+    const level = this.adaptive.observe(quality.outboundLoss);
+    if (level !== null) {
+      console.log(`Sending level for ${this.peerId} is now ${level}`);
+      await this.applySendLevel(SEND_LEVELS[level]);
+    }
+    this.onUpdate({
+      quality: { ...quality, sendLevel: this.adaptive.level, poorConnection: this.adaptive.exhausted }
+    });
+  }
+
+  async applySendLevel({ maxBitrate, scaleResolutionDownBy }) {
+    const sender = this.videoSender;
+    if (!sender) return;
+    const parameters = sender.getParameters();
+    if (!parameters.encodings || parameters.encodings.length === 0) return;
+    parameters.encodings.forEach(encoding => {
+      if (maxBitrate) encoding.maxBitrate = maxBitrate;
+      else delete encoding.maxBitrate;
+      encoding.scaleResolutionDownBy = scaleResolutionDownBy;
+    });
+    await sender.setParameters(parameters);
+  }
+
+  // Pause or resume our video to this peer without renegotiating
+  async setAudioOnly(audioOnly) {
+    const sender = this.videoSender;
+    if (!sender) return;
+    const parameters = sender.getParameters();
+    if (!parameters.encodings || parameters.encodings.length === 0) return;
+    parameters.encodings.forEach(encoding => {
+      encoding.active = !audioOnly;
+    });
+    await sender.setParameters(parameters);
+    // Resuming gives the adaptive policy a fresh start before it can suggest audio only again
+    if (!audioOnly) this.adaptive.exhausted = false;
+    this.onUpdate({ audioOnly });
+  }
+
+  // Restart ICE after a grace period ('failed' restarts right away). The
+  // peer is given up on if it hasn't reconnected by the recovery timeout
+  recover(immediate) {
+    if (!this.recovering) {
+      this.recovering = true;
+      this.onUpdate({ recovering: true });
+      this.recoveryTimer = setTimeout(() => {
+        console.warn(`Could not recover the connection with ${this.peerId}`);
+        this.onFailed();
+      }, this.recoveryTimeoutMs);
+    }
+    clearTimeout(this.restartTimer);
+    this.restartTimer = setTimeout(() => this.restartIce(), immediate ? 0 : ICE_RESTART_DELAY_MS);
+  }
+
+  // Gather fresh candidates; negotiationneeded sends the restart offer
+  restartIce() {
+    if (!this.pc) return;
+    console.log(`Restarting ICE with ${this.peerId}`);
+    this.pc.restartIce();
+  }
+
+  endRecovery() {
+    clearTimeout(this.restartTimer);
+    clearTimeout(this.recoveryTimer);
+    this.restartTimer = null;
+    this.recoveryTimer = null;
+    if (this.recovering) {
+      this.recovering = false;
+      this.onUpdate({ recovering: false });
+      console.log(`Connection with ${this.peerId} recovered`);
+    }
+  }
+
+  // Apply an offer or answer from the peer, resolving offer collisions by role
+  async handleDescription(description) {
+    const pc = this.pc || this.createPeerConnection();
+    const offerCollision = description.type === 'offer' &&
+      (this.makingOffer || pc.signalingState !== 'stable');
+
+    this.ignoreOffer = !this.polite && offerCollision;
+    if (this.ignoreOffer) {
+      console.log(`Ignoring colliding offer from ${this.peerId}`);
+      return;
+    }
+
+    if (offerCollision) {
+      // Polite peer: drop our own pending offer and take theirs
+      await Promise.all([
+        pc.setLocalDescription({ type: 'rollback' }),
+        pc.setRemoteDescription(description)
+      ]);
+    } else {
+      await pc.setRemoteDescription(description);
+    }
+    this.cryptor.updateCodecs(pc);
+    await this.flushCandidates();
+
+    if (description.type === 'offer') {
+      await pc.setLocalDescription();
+      this.signal('answer', pc.localDescription.toJSON());
+    }
+    if (pc.signalingState === 'stable') this.updateFingerprints();
+  }
+
+  async handleCandidate(candidate) {
+    const pc = this.pc;
+    if (!pc || !pc.remoteDescription) {
+      this.pendingCandidates.push(candidate);
+      return;
+    }
+    try {
+      await pc.addIceCandidate(candidate);
+    } catch (error) {
+      // Candidates for an offer we ignored are expected to fail
+      if (!this.ignoreOffer) throw error;
+    }
+  }
+
+  // Add candidates queued while the remote description was missing
+  async flushCandidates() {
+    const queued = this.pendingCandidates;
+    this.pendingCandidates = [];
+    for (const candidate of queued) {
+      await this.handleCandidate(candidate);
+    }
+  }
+
+  close() {
+    clearInterval(this.statsTimer);
+    clearTimeout(this.restartTimer);
+    clearTimeout(this.recoveryTimer);
+    if (this.data) {
+      this.data.close();
+      this.data = null;
+    }
+    if (this.pc) {
+      this.pc.close();
+      this.pc = null;
+    }
+    this.pendingCandidates = [];
+    this.cryptor.terminate();
+    if (this.pake) this.pake.forget();
+  }
+}
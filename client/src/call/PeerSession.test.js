@@ -0,0 +1,182 @@
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+import { PeerSession } from './PeerSession';
+
+// The frame cryptor's worker only needs to take messages here
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {}
+}
+
+beforeAll(() => {
+  vi.stubGlobal('Worker', FakeWorker);
+  // No WebRTC here - the connection and what it does with signals are stubbed
+  vi.spyOn(PeerSession.prototype, 'createPeerConnection').mockImplementation(function () {
+    this.pc = {};
+  });
+  vi.spyOn(PeerSession.prototype, 'handleDescription').mockImplementation(async function (description) {
+    this.received.push(description);
+  });
+  // Key exchange progress and rejections are logged
+  ['log', 'warn', 'error'].forEach(level => vi.spyOn(console, level).mockImplementation(() => {}));
+});
+
+const settle = (...sessions) => Promise.all(sessions.map(session => session.keyExchangeQueue));
+
+function createSession(peerId, secret = '1234567890') {
+  const session = new PeerSession({
+    peerId,
+    localId: peerId === 'b' ? 'a' : 'b',
+    polite: peerId === 'b',
+    secret,
+    channelId: 'room:a:b',
+    sendSignal: (type, sealed) => session.signals.push({ type, sealed }),
+    sendKeyExchange: (message) => session.sent.push(message),
+    onUpdate: () => {},
+    onFailed: () => {}
+  });
+  session.sent = [];
+  session.signals = [];
+  session.received = [];
+  return session;
+}
+
+// Deliver everything each side sent so far to the other, until both are quiet
+async function deliver(a, b) {
+  while (a.sent.length > 0 || b.sent.length > 0) {
+    const fromA = a.sent.splice(0);
+    const fromB = b.sent.splice(0);
+    fromA.forEach(message => b.handleKeyExchange(message));
+    fromB.forEach(message => a.handleKeyExchange(message));
+    await settle(a, b);
+  }
+}
+
+async function establishedPair() {
+  const a = createSession('b');
+  const b = createSession('a');
+  a.startKeyExchange();
+  b.startKeyExchange();
+  await deliver(a, b);
+  return { a, b };
+}
+
+const rotations = (session) => session.cryptor.worker.messages.filter(({ type }) => type === 'rotate').length;
+
+describe('PeerSession key exchange', () => {
+  it('establishes with a matching PIN', async () => {
+    const { a, b } = await establishedPair();
+    expect(a.keyState).toBe('established');
+    expect(b.keyState).toBe('established');
+    expect(a.dataCrypto.hasKey).toBe(true);
+  });
+
+  it('reports a mismatch with a different PIN', async () => {
+    const a = createSession('b');
+    const b = createSession('a', '0987654321');
+    a.startKeyExchange();
+    b.startKeyExchange();
+    await deliver(a, b);
+    expect(a.keyState).toBe('mismatch');
+    expect(b.keyState).toBe('mismatch');
+  });
+
+  it('ignores a forged confirm once established', async () => {
+    const { a } = await establishedPair();
+    a.handleKeyExchange({ type: 'confirm', tag: 'AAAA' });
+    a.handleKeyExchange({ type: 'share', share: a.pake.getShare() });
+    await settle(a);
+    expect(a.keyState).toBe('established');
+  });
+
+  it('follows an authenticated rekey once', async () => {
+    const { a, b } = await establishedPair();
+    const before = rotations(b);
+    a.rotateKey({ notify: true });
+    await settle(a);
+    const [rekey] = a.sent;
+    expect(rekey).toMatchObject({ type: 'rekey', seq: 1 });
+
+    b.handleKeyExchange(rekey);
+    await settle(b);
+    expect(rotations(b)).toBe(before + 1);
+
+    // Replayed
+    b.handleKeyExchange(rekey);
+    await settle(b);
+    expect(rotations(b)).toBe(before + 1);
+  });
+
+  it('ignores rekeys without a valid tag, or reflected back', async () => {
+    const { a, b } = await establishedPair();
+    const before = rotations(a);
+    a.handleKeyExchange({ type: 'rekey' });
+    a.handleKeyExchange({ type: 'rekey', seq: 1, tag: 'AAAA' });
+    b.rotateKey({ notify: true });
+    a.rotateKey({ notify: true });
+    await settle(a, b);
+    // a's own request sent back to it
+    a.handleKeyExchange(a.sent.at(-1));
+    await settle(a);
+    // Only a's own rotation
+    expect(rotations(a)).toBe(before + 1);
+  });
+});
+
+describe('PeerSession signaling', () => {
+  const offer = { type: 'offer', sdp: 'v=0' };
+  const flush = (...sessions) => Promise.all(sessions.flatMap(session => [session.outgoingSignals, session.incomingSignals]));
+
+  it('holds SDP until the key is confirmed, then seals it for the peer', async () => {
+    const a = createSession('b');
+    const b = createSession('a');
+    a.signal('offer', offer);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(a.signals).toHaveLength(0);
+
+    a.startKeyExchange();
+    b.startKeyExchange();
+    await deliver(a, b);
+    expect(a.pc).not.toBeNull();
+    await flush(a);
+    const [{ type, sealed }] = a.signals;
+    expect(type).toBe('offer');
+    expect(sealed).not.toContain('v=0');
+
+    b.receiveSignal(type, sealed);
+    await flush(b);
+    expect(b.received).toEqual([offer]);
+  });
+
+  it('drops sealed signals it cannot open', async () => {
+    const { a, b } = await establishedPair();
+    a.signal('offer', offer);
+    await flush(a);
+    const [{ sealed }] = a.signals;
+
+    // As another type, sent back to its sender, or replayed
+    b.receiveSignal('answer', sealed);
+    a.receiveSignal('offer', sealed);
+    b.receiveSignal('offer', sealed);
+    b.receiveSignal('offer', sealed);
+    await flush(a, b);
+    expect(a.received).toEqual([]);
+    expect(b.received).toEqual([offer]);
+  });
+
+  it('keys each pair separately', async () => {
+    const first = await establishedPair();
+    const second = await establishedPair();
+    first.a.signal('offer', offer);
+    await flush(first.a);
+    second.b.receiveSignal('offer', first.a.signals[0].sealed);
+    await flush(second.b);
+    expect(second.b.received).toEqual([]);
+  });
+});
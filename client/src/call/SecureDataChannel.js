@@ -0,0 +1,270 @@
+import { utf8, concatBytes, toHex, fromHex } from '../crypto/encoding';
+
+// Chat and file transfer over a peer connection's data channel. Every
+// message is encrypted end-to-end with the peer's data key chain (see
+// E2EECrypto), independently of DTLS, so the content stays private even if
+// the transport were intercepted.
+//
+// Wire format (before encryption): one tag byte, then either a JSON control
+// message or a 16-byte transfer id followed by a file chunk.
+
+const MESSAGE = 0;
+const CHUNK = 1;
+const ID_LENGTH = 16;
+
+const CHUNK_SIZE = 16 * 1024;
+// Stop queueing chunks above this much buffered data, resume below the low mark
+const MAX_BUFFERED_AMOUNT = 1024 * 1024;
+const BUFFERED_AMOUNT_LOW = 256 * 1024;
+
+export const MAX_CHAT_LENGTH = 4000;
+// Received files are held in memory until they're complete
+export const MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+const decoder = new TextDecoder();
+const randomId = () => toHex(crypto.getRandomValues(new Uint8Array(ID_LENGTH)));
+
+// SHA-256 of a whole file, sent with the offer and checked by the receiver
+export async function hashFile(blob) {
+  return toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer())));
+}
+
+export class SecureDataChannel {
+  // onChat(message) for incoming chat, onTransfer(patch) whenever a transfer
+  // in either direction changes - patches always carry the transfer id
+  constructor(channel, dataCrypto, { onChat, onTransfer }) {
+    this.channel = channel;
+    this.crypto = dataCrypto;
+    this.onChat = onChat;
+    this.onTransfer = onTransfer;
+    this.sendQueue = Promise.resolve();
+    this.receiveQueue = Promise.resolve();
+    this.outgoing = new Map(); // id -> transfer
+    this.incoming = new Map(); // id -> transfer with its received chunks
+
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = BUFFERED_AMOUNT_LOW;
+    // Decryption is async - keep messages in arrival order
+    channel.onmessage = (event) => {
+      this.receiveQueue = this.receiveQueue
+        .then(() => this.receive(new Uint8Array(event.data)))
+        .catch(error => console.error('Handling data channel message failed:', error));
+    };
+    channel.onclose = () => this.abortAll();
+  }
+
+  get ready() {
+    return this.channel.readyState === 'open' && this.crypto.hasKey;
+  }
+
+  // Encrypt and send in call order
+  send(plaintext) {
+    const sending = this.sendQueue.then(async () => {
+      const encrypted = await this.crypto.encryptFrame(plaintext);
+      if (!encrypted) throw new Error('No data channel key yet');
+      this.channel.send(encrypted);
+    });
+    this.sendQueue = sending.catch(() => {});
+    return sending;
+  }
+
+  sendMessage(message) {
+    return this.send(concatBytes(new Uint8Array([MESSAGE]), utf8(JSON.stringify(message))));
+  }
+
+  async sendChat(text) {
+    const message = { type: 'chat', id: randomId(), text, sentAt: Date.now() };
+    await this.sendMessage(message);
+    return message;
+  }
+
+  // Start sending a file in the background; returns the transfer id
+  sendFile(file, sha256) {
+    const transfer = {
+      id: randomId(),
+      direction: 'send',
+      name: file.name,
+      size: file.size,
+      mime: file.type,
+      transferred: 0,
+      status: 'sending' // sending, verifying, done, failed, cancelled
+    };
+    this.outgoing.set(transfer.id, transfer);
+    this.onTransfer({ ...transfer });
+
+    this.streamFile(file, sha256, transfer).catch(error => {
+      console.error(`Sending ${file.name} failed:`, error);
+      this.finish(this.outgoing, transfer, 'failed');
+    });
+    return transfer.id;
+  }
+
+  async streamFile(file, sha256, transfer) {
+    const { id, name, size, mime } = transfer;
+    await this.sendMessage({ type: 'file-offer', id, name, size, mime, sha256 });
+
+    const header = concatBytes(new Uint8Array([CHUNK]), fromHex(id));
+    for (let offset = 0; offset < size; offset += CHUNK_SIZE) {
+      await this.waitForBuffer();
+      if (transfer.status !== 'sending') return;
+      if (this.channel.readyState !== 'open') throw new Error('Data channel closed');
+
+      const chunk = new Uint8Array(await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer());
+      await this.send(concatBytes(header, chunk));
+      this.progress(transfer, Math.min(offset + CHUNK_SIZE, size));
+    }
+
+    await this.sendMessage({ type: 'file-end', id });
+    transfer.status = 'verifying';
+    this.onTransfer({ id, status: 'verifying' });
+  }
+
+  // Backpressure - wait until the channel has drained below the low mark
+  waitForBuffer() {
+    const channel = this.channel;
+    if (channel.bufferedAmount <= MAX_BUFFERED_AMOUNT || channel.readyState !== 'open') {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      channel.addEventListener('bufferedamountlow', resolve, { once: true });
+      channel.addEventListener('close', resolve, { once: true });
+    });
+  }
+
+  // Report progress in whole percent steps rather than per chunk
+  progress(transfer, transferred) {
+    const step = Math.max(1, Math.floor(transfer.size / 100));
+    const reported = transfer.transferred;
+    transfer.transferred = transferred;
+    if (transferred === transfer.size || Math.floor(transferred / step) !== Math.floor(reported / step)) {
+      this.onTransfer({ id: transfer.id, transferred });
+    }
+  }
+
+  finish(transfers, transfer, status, extra = {}) {
+    transfer.status = status;
+    transfer.chunks = null;
+    transfers.delete(transfer.id);
+    this.onTransfer({ id: transfer.id, status, ...extra });
+  }
+
+  // Either side may cancel; the other side is told so it stops too
+  cancelTransfer(id) {
+    const transfers = this.outgoing.has(id) ? this.outgoing : this.incoming;
+    const transfer = transfers.get(id);
+    if (!transfer) return;
+    this.finish(transfers, transfer, 'cancelled');
+    if (this.ready) this.sendMessage({ type: 'file-cancel', id }).catch(() => {});
+  }
+
+  async receive(data) {
+    const plaintext = await this.crypto.decryptFrame(data);
+    if (!plaintext) {
+      console.warn('Dropped a data channel message that did not decrypt');
+      return;
+    }
+
+    if (plaintext[0] === CHUNK) {
+      this.receiveChunk(toHex(plaintext.subarray(1, 1 + ID_LENGTH)), plaintext.slice(1 + ID_LENGTH));
+      return;
+    }
+    if (plaintext[0] !== MESSAGE) return;
+
+    let message;
+    try {
+      message = JSON.parse(decoder.decode(plaintext.subarray(1)));
+    } catch (error) {
+      return;
+    }
+    await this.handleMessage(message);
+  }
+
+  async handleMessage(message) {
+    const { type, id } = message;
+    if (typeof id !== 'string' || id.length !== ID_LENGTH * 2) return;
+
+    if (type === 'chat') {
+      if (typeof message.text !== 'string' || message.text.length > MAX_CHAT_LENGTH) return;
+      this.onChat({ id, text: message.text, sentAt: message.sentAt });
+    } else if (type === 'file-offer') {
+      this.receiveOffer(message);
+    } else if (type === 'file-end') {
+      await this.completeIncoming(id);
+    } else if (type === 'file-ack') {
+      const transfer = this.outgoing.get(id);
+      if (transfer) this.finish(this.outgoing, transfer, message.ok === true ? 'done' : 'failed');
+    } else if (type === 'file-cancel') {
+      const transfers = this.outgoing.has(id) ? this.outgoing : this.incoming;
+      const transfer = transfers.get(id);
+      if (transfer) this.finish(transfers, transfer, 'cancelled');
+    }
+  }
+
+  receiveOffer({ id, name, size, mime, sha256 }) {
+    if (this.incoming.has(id) || typeof name !== 'string' || typeof sha256 !== 'string' ||
+        !Number.isInteger(size) || size < 0) {
+      return;
+    }
+    const transfer = {
+      id,
+      direction: 'receive',
+      name: name.slice(0, 255),
+      size,
+      mime: typeof mime === 'string' ? mime : '',
+      sha256,
+      transferred: 0,
+      chunks: [],
+      status: 'receiving'
+    };
+    this.incoming.set(id, transfer);
+    const { chunks, ...visible } = transfer;
+    this.onTransfer(visible);
+
+    if (size > MAX_FILE_SIZE) {
+      console.warn(`Refused ${name}: larger than ${MAX_FILE_SIZE} bytes`);
+      this.cancelTransfer(id);
+    }
+  }
+
+  receiveChunk(id, chunk) {
+    const transfer = this.incoming.get(id);
+    if (!transfer) return;
+    if (transfer.transferred + chunk.length > transfer.size) {
+      this.finish(this.incoming, transfer, 'failed');
+      this.sendMessage({ type: 'file-ack', id, ok: false }).catch(() => {});
+      return;
+    }
+    transfer.chunks.push(chunk);
+    this.progress(transfer, transfer.transferred + chunk.length);
+  }
+
+  // Check the whole file against the sender's hash before offering it for download
+  async completeIncoming(id) {
+    const transfer = this.incoming.get(id);
+    if (!transfer) return;
+
+    const blob = new Blob(transfer.chunks, { type: transfer.mime });
+    const ok = blob.size === transfer.size && await hashFile(blob) === transfer.sha256;
+    if (ok) {
+      this.finish(this.incoming, transfer, 'done', { url: URL.createObjectURL(blob) });
+    } else {
+      console.error(`Integrity check failed for ${transfer.name}`);
+      this.finish(this.incoming, transfer, 'failed');
+    }
+    await this.sendMessage({ type: 'file-ack', id, ok });
+  }
+
+  // A closed channel ends every transfer still in flight
+  abortAll() {
+    [this.outgoing, this.incoming].forEach(transfers => {
+      [...transfers.values()].forEach(transfer => this.finish(transfers, transfer, 'failed'));
+    });
+  }
+
+  close() {
+    this.channel.onmessage = null;
+    this.channel.onclose = null;
+    this.abortAll();
+    this.channel.close();
+  }
+}
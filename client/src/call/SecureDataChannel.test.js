@@ -0,0 +1,113 @@
+import { describe, expect, it, vi } from 'vitest';
+import { MAX_CHAT_LENGTH, MAX_FILE_SIZE, SecureDataChannel, hashFile } from './SecureDataChannel';
+
+// Stand-in for the data key chain: frames carry a marker byte, anything
+// without it "fails to decrypt"
+const MARKER = 0xee;
+const fakeCrypto = {
+  hasKey: true,
+  encryptFrame: async (plaintext) => new Uint8Array([MARKER, ...plaintext]),
+  decryptFrame: async (data) => (data[0] === MARKER ? data.slice(1) : null)
+};
+
+function channelPair() {
+  const create = () => ({
+    readyState: 'open',
+    bufferedAmount: 0,
+    sent: 0,
+    addEventListener() {},
+    close() {
+      this.readyState = 'closed';
+    },
+    send(data) {
+      this.sent++;
+      const buffer = data.slice().buffer;
+      queueMicrotask(() => this.peer.onmessage?.({ data: buffer }));
+    }
+  });
+  const a = create();
+  const b = create();
+  a.peer = b;
+  b.peer = a;
+  return [a, b];
+}
+
+function connect() {
+  const [left, right] = channelPair();
+  const sides = [left, right].map(channel => {
+    const side = { channel, chats: [], transfers: new Map() };
+    side.data = new SecureDataChannel(channel, fakeCrypto, {
+      onChat: (message) => side.chats.push(message),
+      onTransfer: (patch) => side.transfers.set(patch.id, { ...side.transfers.get(patch.id), ...patch })
+    });
+    return side;
+  });
+  return sides;
+}
+
+describe('SecureDataChannel', () => {
+  it('delivers chat messages through the data key chain', async () => {
+    const [alice, bob] = connect();
+    const sent = await alice.data.sendChat('hello');
+    await vi.waitFor(() => expect(bob.chats).toHaveLength(1));
+    expect(bob.chats[0]).toEqual({ id: sent.id, text: 'hello', sentAt: sent.sentAt });
+  });
+
+  it('drops frames that do not decrypt and chat that is too long', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const [alice, bob] = connect();
+    bob.channel.onmessage({ data: new Uint8Array([0, 1, 2]).buffer });
+    await alice.data.sendChat('x'.repeat(MAX_CHAT_LENGTH + 1));
+    await alice.data.sendChat('ok');
+    await vi.waitFor(() => expect(bob.chats).toHaveLength(1));
+    expect(bob.chats[0].text).toBe('ok');
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('transfers a file in chunks and verifies its hash', async () => {
+    const [alice, bob] = connect();
+    const content = crypto.getRandomValues(new Uint8Array(40 * 1024));
+    const file = new File([content], 'notes.bin', { type: 'application/octet-stream' });
+    const id = alice.data.sendFile(file, await hashFile(file));
+
+    await vi.waitFor(() => expect(alice.transfers.get(id).status).toBe('done'));
+    const received = bob.transfers.get(id);
+    expect(received).toMatchObject({ name: 'notes.bin', size: content.length, transferred: content.length, status: 'done' });
+    expect(alice.channel.sent).toBe(5); // offer, three chunks, end
+    URL.revokeObjectURL(received.url);
+  });
+
+  it('fails a file whose hash does not match on both sides', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const [alice, bob] = connect();
+    const file = new File(['tampered'], 'a.txt');
+    const id = alice.data.sendFile(file, await hashFile(new File(['original'], 'a.txt')));
+
+    await vi.waitFor(() => expect(alice.transfers.get(id).status).toBe('failed'));
+    expect(bob.transfers.get(id).status).toBe('failed');
+    expect(bob.transfers.get(id).url).toBeUndefined();
+    error.mockRestore();
+  });
+
+  it('refuses an offer over the size limit and tells the sender', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const [alice, bob] = connect();
+    const id = 'ab'.repeat(16);
+    alice.data.outgoing.set(id, { id, status: 'sending' });
+    await alice.data.sendMessage({ type: 'file-offer', id, name: 'huge.iso', size: MAX_FILE_SIZE + 1, mime: '', sha256: '00' });
+
+    await vi.waitFor(() => expect(alice.transfers.get(id)).toEqual({ id, status: 'cancelled' }));
+    expect(bob.transfers.get(id).status).toBe('cancelled');
+    expect(bob.data.incoming.size).toBe(0);
+    warn.mockRestore();
+  });
+
+  it('fails every transfer still in flight when the channel closes', () => {
+    const [alice] = connect();
+    const id = alice.data.sendFile(new File(['data'], 'a.txt'), '00');
+    alice.channel.onclose();
+    expect(alice.transfers.get(id).status).toBe('failed');
+    expect(alice.data.outgoing.size).toBe(0);
+  });
+});
@@ -0,0 +1,54 @@
+import { toBase64, utf8 } from '../crypto/encoding';
+
+// Rooms created in the app get a random room id, which the server sees, and
+// a separate random secret, which it never does. Invite links carry both in
+// the #fragment - browsers don't send fragments in requests, so neither ends
+// up in server or proxy logs.
+//
+// A PIN typed by hand is the secret too, so the server only ever gets a
+// slow one-way hash of it as the room id.
+
+const ROOM_ID_BYTES = 16;
+const SECRET_BYTES = 32;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{22,64}$/;
+const PIN_ROOM_ITERATIONS = 200000;
+
+const toBase64Url = (bytes) => toBase64(bytes)
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const randomToken = (length) => toBase64Url(crypto.getRandomValues(new Uint8Array(length)));
+
+export const createRoom = () => ({ room: randomToken(ROOM_ID_BYTES), secret: randomToken(SECRET_BYTES) });
+
+export async function pinRoom(pin) {
+  const baseKey = await crypto.subtle.importKey('raw', utf8(pin), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: utf8('SecureCall room id'), iterations: PIN_ROOM_ITERATIONS, hash: 'SHA-256' },
+    baseKey,
+    ROOM_ID_BYTES * 8
+  );
+  return { room: toBase64Url(new Uint8Array(bits)), secret: pin };
+}
+
+export function inviteLink({ room, secret }) {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = new URLSearchParams({ room, key: secret }).toString();
+  return url.toString();
+}
+
+// { room, secret } from the current URL's fragment, or null
+export function readInvite(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const room = params.get('room');
+  const secret = params.get('key');
+  if (!room || !secret || !TOKEN_PATTERN.test(room) || !TOKEN_PATTERN.test(secret)) return null;
+  return { room, secret };
+}
+
+// Drop the secret from the address bar and history once it has been read
+export function clearInviteFromUrl() {
+  window.history.replaceState(null, '', window.location.pathname + window.location.search);
+}
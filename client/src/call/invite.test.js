@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { createRoom, pinRoom, readInvite } from './invite';
+
+describe('pinRoom', () => {
+  it('sends the server a hash of the PIN, never the PIN', async () => {
+    const { room, secret } = await pinRoom('1234567890');
+    expect(secret).toBe('1234567890');
+    expect(room).not.toContain('1234567890');
+    expect(room).toMatch(/^[A-Za-z0-9_-]{22}$/);
+  });
+
+  it('puts everyone with the same PIN in the same room', async () => {
+    expect((await pinRoom('1234567890')).room).toBe((await pinRoom('1234567890')).room);
+    expect((await pinRoom('1234567890')).room).not.toBe((await pinRoom('1234567891')).room);
+  });
+});
+
+describe('readInvite', () => {
+  it('reads a created room back from its fragment', () => {
+    const created = createRoom();
+    expect(readInvite(`#room=${created.room}&key=${created.secret}`)).toEqual(created);
+  });
+
+  it('ignores fragments without a valid room and key', () => {
+    expect(readInvite('')).toBeNull();
+    expect(readInvite('#room=short&key=short')).toBeNull();
+    expect(readInvite(`#room=${createRoom().room}`)).toBeNull();
+  });
+});
@@ -0,0 +1,90 @@
+// Local camera/microphone helpers: device lists, constraints, readable
+// getUserMedia errors and a microphone level meter for the lobby.
+
+export const RESOLUTIONS = {
+  '360p': { width: 640, height: 360 },
+  '720p': { width: 1280, height: 720 },
+  '1080p': { width: 1920, height: 1080 }
+};
+
+export const DEFAULT_RESOLUTION = '720p';
+
+const AUDIO_PROCESSING = {
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true
+};
+
+// An empty device id means the browser's default device
+export function videoConstraints(deviceId, resolution) {
+  const { width, height } = RESOLUTIONS[resolution] || RESOLUTIONS[DEFAULT_RESOLUTION];
+  return {
+    width: { ideal: width },
+    height: { ideal: height },
+    ...(deviceId ? { deviceId: { exact: deviceId } } : {})
+  };
+}
+
+export function audioConstraints(deviceId) {
+  return { ...AUDIO_PROCESSING, ...(deviceId ? { deviceId: { exact: deviceId } } : {}) };
+}
+
+// Labels are only filled in once the user has granted media access
+export async function listDevices() {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const ofKind = (kind) => devices
+    .filter(device => device.kind === kind && device.deviceId)
+    .map(({ deviceId, label }, index) => ({ deviceId, label: label || `${kind === 'videoinput' ? 'Camera' : 'Microphone'} ${index + 1}` }));
+  return { cameras: ofKind('videoinput'), microphones: ofKind('audioinput') };
+}
+
+// Device id a live track is actually using
+export const trackDeviceId = (track) => (track && track.getSettings().deviceId) || '';
+
+// Turn a getUserMedia failure into something the user can act on
+export function describeMediaError(error) {
+  switch (error && error.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Camera and microphone access was denied. Allow access in your browser\'s site settings, then try again.';
+    case 'NotReadableError':
+    case 'TrackStartError':
+    case 'AbortError':
+      return 'Your camera or microphone is busy - another application or tab may be using it. Close it, then try again.';
+    case 'NotFoundError':
+    case 'DevicesNotFoundError':
+      return 'No camera or microphone was found. Connect one, then try again.';
+    case 'OverconstrainedError':
+      return 'The selected device is no longer available, or can\'t provide the chosen resolution. Pick another one.';
+    default:
+      return `Could not access camera/microphone${error && error.message ? ` (${error.message})` : ''}.`;
+  }
+}
+
+// Reports the microphone's level (0..1) about every animation frame
+export class LevelMeter {
+  constructor(track, onLevel) {
+    this.context = new AudioContext();
+    this.analyser = this.context.createAnalyser();
+    this.analyser.fftSize = 512;
+    this.source = this.context.createMediaStreamSource(new MediaStream([track]));
+    this.source.connect(this.analyser);
+    this.samples = new Float32Array(this.analyser.fftSize);
+    this.onLevel = onLevel;
+    this.frame = requestAnimationFrame(() => this.tick());
+  }
+
+  tick() {
+    this.analyser.getFloatTimeDomainData(this.samples);
+    const rms = Math.sqrt(this.samples.reduce((sum, sample) => sum + sample * sample, 0) / this.samples.length);
+    // Speech sits around 0.05-0.3 RMS; scale so normal talking fills most of the bar
+    this.onLevel(Math.min(1, rms * 4));
+    this.frame = requestAnimationFrame(() => this.tick());
+  }
+
+  stop() {
+    cancelAnimationFrame(this.frame);
+    this.source.disconnect();
+    this.context.close();
+  }
+}
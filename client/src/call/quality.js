@@ -0,0 +1,146 @@
+// Connection quality from RTCPeerConnection.getStats(), and the adaptive
+// policy that lowers our video bitrate/resolution while the peer reports
+// sustained packet loss.
+
+export const STATS_INTERVAL_MS = 2000;
+
+// Sending levels from best to worst. null leaves the bitrate to the browser
+export const SEND_LEVELS = [
+  { maxBitrate: null, scaleResolutionDownBy: 1 },
+  { maxBitrate: 1200000, scaleResolutionDownBy: 1 },
+  { maxBitrate: 600000, scaleResolutionDownBy: 1.5 },
+  { maxBitrate: 300000, scaleResolutionDownBy: 2 },
+  { maxBitrate: 150000, scaleResolutionDownBy: 4 }
+];
+
+// Loss above LOSS_HIGH for BAD_INTERVALS in a row steps down a level,
+// loss below LOSS_LOW for GOOD_INTERVALS in a row steps back up
+const LOSS_HIGH = 0.05;
+const LOSS_LOW = 0.02;
+const BAD_INTERVALS = 3;
+const GOOD_INTERVALS = 10;
+
+const codecName = (report, codecId) => {
+  const codec = codecId && report.get(codecId);
+  return codec ? codec.mimeType.split('/')[1] : null;
+};
+
+const videoFormat = (stat) => (stat.frameWidth
+  ? { width: stat.frameWidth, height: stat.frameHeight, fps: Math.round(stat.framesPerSecond || 0) }
+  : null);
+
+// Summarize one getStats() report. previous is the sample returned by the
+// last call - bitrates and interval loss are deltas against it
+export async function collectStats(pc, previous = null) {
+  const report = await pc.getStats();
+  const sample = { timestamp: Date.now(), bytesSent: 0, bytesReceived: 0, packetsLost: 0, packetsReceived: 0 };
+  const quality = {
+    rtt: null, // ms
+    jitter: null, // ms, worst inbound stream
+    inboundLoss: null, // fraction lost on what we receive, this interval
+    outboundLoss: null, // fraction the peer reports losing of what we send
+    sendBitrate: null, // bits per second
+    receiveBitrate: null,
+    sendVideo: null, // { width, height, fps }
+    receiveVideo: null,
+    localCandidate: null, // host, srflx, prflx or relay
+    remoteCandidate: null,
+    codecs: []
+  };
+  const codecs = new Set();
+  let pair = null;
+
+  report.forEach(stat => {
+    switch (stat.type) {
+      case 'transport':
+        if (stat.selectedCandidatePairId) pair = report.get(stat.selectedCandidatePairId);
+        break;
+      case 'candidate-pair':
+        // Firefox marks the pair itself instead of the transport
+        if (!pair && (stat.selected || (stat.nominated && stat.state === 'succeeded'))) pair = stat;
+        break;
+      case 'outbound-rtp':
+        sample.bytesSent += stat.bytesSent || 0;
+        if (stat.kind === 'video') quality.sendVideo = videoFormat(stat) || quality.sendVideo;
+        if (codecName(report, stat.codecId)) codecs.add(codecName(report, stat.codecId));
+        break;
+      case 'inbound-rtp':
+        sample.bytesReceived += stat.bytesReceived || 0;
+        sample.packetsLost += stat.packetsLost || 0;
+        sample.packetsReceived += stat.packetsReceived || 0;
+        if (stat.jitter !== undefined) quality.jitter = Math.max(quality.jitter || 0, stat.jitter * 1000);
+        if (stat.kind === 'video') quality.receiveVideo = videoFormat(stat) || quality.receiveVideo;
+        if (codecName(report, stat.codecId)) codecs.add(codecName(report, stat.codecId));
+        break;
+      case 'remote-inbound-rtp':
+        if (stat.fractionLost !== undefined) quality.outboundLoss = Math.max(quality.outboundLoss || 0, stat.fractionLost);
+        if (quality.rtt === null && stat.roundTripTime !== undefined) quality.rtt = stat.roundTripTime * 1000;
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (pair) {
+    if (pair.currentRoundTripTime !== undefined) quality.rtt = pair.currentRoundTripTime * 1000;
+    const local = report.get(pair.localCandidateId);
+    const remote = report.get(pair.remoteCandidateId);
+    quality.localCandidate = local ? local.candidateType : null;
+    quality.remoteCandidate = remote ? remote.candidateType : null;
+  }
+  quality.codecs = [...codecs];
+
+  if (previous) {
+    const seconds = (sample.timestamp - previous.timestamp) / 1000;
+    if (seconds > 0) {
+      quality.sendBitrate = Math.max(0, (sample.bytesSent - previous.bytesSent) * 8 / seconds);
+      quality.receiveBitrate = Math.max(0, (sample.bytesReceived - previous.bytesReceived) * 8 / seconds);
+    }
+    const lost = sample.packetsLost - previous.packetsLost;
+    const received = sample.packetsReceived - previous.packetsReceived;
+    if (lost + received > 0) quality.inboundLoss = Math.max(0, lost / (lost + received));
+  }
+
+  return { quality, sample };
+}
+
+// Tracks how long loss has been high or low and picks the sending level.
+// exhausted means the lowest level still isn't enough - time for audio only
+export class AdaptiveSender {
+  constructor() {
+    this.level = 0;
+    this.badIntervals = 0;
+    this.goodIntervals = 0;
+    this.exhausted = false;
+  }
+
+  // Returns the new level when it changed, otherwise null
+  observe(loss) {
+    if (loss === null) return null;
+
+    if (loss > LOSS_HIGH) {
+      this.badIntervals++;
+      this.goodIntervals = 0;
+      if (this.badIntervals < BAD_INTERVALS) return null;
+      this.badIntervals = 0;
+      if (this.level === SEND_LEVELS.length - 1) {
+        this.exhausted = true;
+        return null;
+      }
+      this.level++;
+      return this.level;
+    }
+
+    this.badIntervals = 0;
+    if (loss < LOSS_LOW) {
+      this.goodIntervals++;
+      if (this.goodIntervals >= GOOD_INTERVALS && this.level > 0) {
+        this.goodIntervals = 0;
+        this.exhausted = false;
+        this.level--;
+        return this.level;
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { AdaptiveSender, SEND_LEVELS } from './quality';
+
+const observeAll = (sender, losses) => losses.map(loss => sender.observe(loss));
+const repeat = (loss, times) => Array(times).fill(loss);
+
+describe('AdaptiveSender', () => {
+  it('steps down after three bad intervals in a row', () => {
+    const sender = new AdaptiveSender();
+    expect(observeAll(sender, repeat(0.1, 3))).toEqual([null, null, 1]);
+    expect(SEND_LEVELS[sender.level].maxBitrate).toBe(1200000);
+  });
+
+  it('ignores a loss spike and intervals without stats', () => {
+    const sender = new AdaptiveSender();
+    expect(observeAll(sender, [0.1, 0.1, 0.01, 0.1, null, 0.1])).toEqual(repeat(null, 6));
+    expect(sender.level).toBe(0);
+  });
+
+  it('steps back up after ten good intervals', () => {
+    const sender = new AdaptiveSender();
+    observeAll(sender, repeat(0.1, 6));
+    expect(sender.level).toBe(2);
+    expect(observeAll(sender, repeat(0.01, 10)).at(-1)).toBe(1);
+    // Loss between the thresholds neither steps down nor counts as good
+    expect(observeAll(sender, repeat(0.03, 10))).toEqual(repeat(null, 10));
+    expect(sender.level).toBe(1);
+  });
+
+  it('never goes above the best level', () => {
+    const sender = new AdaptiveSender();
+    expect(observeAll(sender, repeat(0, 20))).toEqual(repeat(null, 20));
+    expect(sender.level).toBe(0);
+  });
+
+  it('is exhausted when the lowest level still loses packets, until loss recovers', () => {
+    const sender = new AdaptiveSender();
+    observeAll(sender, repeat(0.2, 3 * (SEND_LEVELS.length - 1)));
+    expect(sender.level).toBe(SEND_LEVELS.length - 1);
+    expect(sender.exhausted).toBe(false);
+
+    expect(observeAll(sender, repeat(0.2, 3))).toEqual(repeat(null, 3));
+    expect(sender.exhausted).toBe(true);
+
+    observeAll(sender, repeat(0, 10));
+    expect(sender.exhausted).toBe(false);
+    expect(sender.level).toBe(SEND_LEVELS.length - 2);
+  });
+});
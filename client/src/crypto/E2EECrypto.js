@@ -0,0 +1,189 @@
+import { utf8, concatBytes } from './encoding';
+import { encodeHeader, parseHeader, deriveKeySalt, frameNonce, encodeBigEndian, ReplayWindow } from './sframe';
+import { escapeNal, unescapeNal } from './codecs';
+
+// KID = senderId * 256 + epoch (mod 256), so the header tells receivers
+// which sender and which ratchet step a frame was encrypted under
+const EPOCHS_PER_SENDER = 256;
+// How far a receiver ratchets forward to catch up with a sender
+const MAX_RATCHET_AHEAD = 8;
+// Frames under the previous epoch are accepted this long after a switch
+const PREVIOUS_EPOCH_GRACE_MS = 5000;
+
+const toKid = (senderId, epoch) => senderId * EPOCHS_PER_SENDER + (epoch % EPOCHS_PER_SENDER);
+
+async function hkdfBytes(keyBytes, label, extra = new Uint8Array(0)) {
+  const ikm = await crypto.subtle.importKey('raw', keyBytes, 'HKDF', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'HKDF', salt: new Uint8Array(0), info: concatBytes(utf8(label), extra), hash: 'SHA-256' },
+    ikm,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+// One-way step: the next base key reveals nothing about the previous one
+const ratchet = (baseKey) => hkdfBytes(baseKey, 'SecureCall SFrame ratchet');
+
+// Frame key, salt and replay window for one sender at one epoch. The
+// counter lives with its key, so a new epoch can never inherit or reset
+// the counter of another one
+async function createEpoch(senderId, epoch, baseKey) {
+  const kid = toKid(senderId, epoch);
+  const { key, salt } = await deriveKeySalt(baseKey, kid);
+  return { epoch, kid, baseKey, key, salt, counter: 0, replay: new ReplayWindow() };
+}
+
+// Crypto utilities for E2EE - frames use the SFrame (RFC 9605) format.
+// The purpose separates key chains derived from the same session key, so
+// media frames and data channel messages never share a key and counter
+export class E2EECrypto {
+  constructor(purpose = 'SFrame') {
+    this.purpose = purpose;
+    this.localSenderId = null;
+    this.send = null;
+    // senderId -> { current, previous, previousExpires }
+    this.receivers = new Map();
+    // Key installs and rotations, one at a time
+    this.keyUpdates = Promise.resolve();
+  }
+
+  get hasKey() {
+    return this.send !== null;
+  }
+
+  // Two overlapping rotations would otherwise both step from the same epoch
+  // and encrypt under one key and nonce sequence twice
+  enqueue(update) {
+    const result = this.keyUpdates.then(update);
+    this.keyUpdates = result.catch(() => {});
+    return result;
+  }
+
+  // Install the CPace session key. Each sender encrypts under its own chain,
+  // so two peers sharing the session key never reuse a nonce. The session
+  // key itself is wiped once both chains are derived
+  setSessionKey(sessionKey, localSenderId, remoteSenderId) {
+    return this.enqueue(async () => {
+      const chainKey = (senderId) => hkdfBytes(sessionKey, `SecureCall ${this.purpose} sender `, encodeBigEndian(senderId, 8));
+
+      const send = await createEpoch(localSenderId, 0, await chainKey(localSenderId));
+      const receiver = await createEpoch(remoteSenderId, 0, await chainKey(remoteSenderId));
+      this.localSenderId = localSenderId;
+      this.send = send;
+      this.receivers = new Map([[remoteSenderId, { current: receiver, previous: null, previousExpires: 0 }]]);
+      sessionKey.fill(0);
+    });
+  }
+
+  // Move our sending chain one step forward and forget the old key
+  rotateKey() {
+    return this.enqueue(async () => {
+      if (!this.send) return;
+      const previous = this.send;
+      this.send = await createEpoch(this.localSenderId, previous.epoch + 1, await ratchet(previous.baseKey));
+      previous.baseKey.fill(0);
+    });
+  }
+
+  // Find the epoch a received KID refers to. A newer epoch is derived but
+  // only committed once a frame under it authenticates
+  async resolveEpoch(receiver, kid) {
+    const { current, previous } = receiver;
+    if (kid === current.kid) return { context: current };
+
+    if (previous && kid === previous.kid) {
+      if (Date.now() < receiver.previousExpires) return { context: previous };
+      previous.baseKey.fill(0);
+      receiver.previous = null;
+      return null;
+    }
+
+    const steps = ((kid % EPOCHS_PER_SENDER) - (current.epoch % EPOCHS_PER_SENDER) + EPOCHS_PER_SENDER) % EPOCHS_PER_SENDER;
+    if (steps < 1 || steps > MAX_RATCHET_AHEAD) return null;
+
+    let baseKey = current.baseKey;
+    for (let i = 0; i < steps; i++) {
+      const next = await ratchet(baseKey);
+      if (baseKey !== current.baseKey) baseKey.fill(0);
+      baseKey = next;
+    }
+    const senderId = Math.floor(kid / EPOCHS_PER_SENDER);
+    return { context: await createEpoch(senderId, current.epoch + steps, baseKey), pending: true };
+  }
+
+  // Switch a receiver to an authenticated newer epoch, keeping the one it
+  // replaces for the grace period. Concurrent tracks may race to commit
+  commitEpoch(receiver, context) {
+    if (context.epoch <= receiver.current.epoch) {
+      return receiver.current.epoch === context.epoch ? receiver.current : context;
+    }
+    if (receiver.previous) receiver.previous.baseKey.fill(0);
+    receiver.previous = receiver.current;
+    receiver.previousExpires = Date.now() + PREVIOUS_EPOCH_GRACE_MS;
+    receiver.current = context;
+    return context;
+  }
+
+  // Encrypt frame data - returns null until the key exchange has finished.
+  // The first clearBytes stay readable for the codec and are bound as AAD
+  async encryptFrame(data, { clearBytes = 0, escape = false } = {}) {
+    if (!this.send) return null;
+
+    const send = this.send;
+    const { kid, key, salt } = send;
+    const clear = data.subarray(0, clearBytes);
+    const counter = send.counter++;
+    const header = encodeHeader(kid, counter);
+    const encrypted = await crypto.subtle.encrypt(
+      {
+        name: 'AES-GCM',
+        iv: frameNonce(salt, counter),
+        additionalData: concatBytes(header, clear)
+      },
+      key,
+      data.subarray(clearBytes)
+    );
+
+    const payload = concatBytes(header, new Uint8Array(encrypted));
+    return concatBytes(clear, escape ? escapeNal(payload) : payload);
+  }
+
+  // Decrypt frame data - replayed, stale or forged frames return null
+  async decryptFrame(data, { clearBytes = 0, escape = false } = {}) {
+    if (!this.send) return null;
+
+    const clear = data.subarray(0, clearBytes);
+    const payload = escape ? unescapeNal(data.subarray(clearBytes)) : data.subarray(clearBytes);
+    const header = parseHeader(payload);
+    if (!header) return null;
+
+    // Our own sender ID arriving from the network can only be a reflection
+    const receiver = this.receivers.get(Math.floor(header.kid / EPOCHS_PER_SENDER));
+    if (!receiver) return null;
+
+    const resolved = await this.resolveEpoch(receiver, header.kid);
+    if (!resolved || !resolved.context.replay.accepts(header.counter)) {
+      return null;
+    }
+
+    try {
+      const { context } = resolved;
+      const decrypted = await crypto.subtle.decrypt(
+        {
+          name: 'AES-GCM',
+          iv: frameNonce(context.salt, header.counter),
+          additionalData: concatBytes(payload.subarray(0, header.headerLength), clear)
+        },
+        context.key,
+        payload.subarray(header.headerLength)
+      );
+      const active = resolved.pending ? this.commitEpoch(receiver, context) : context;
+      active.replay.record(header.counter);
+      return concatBytes(clear, new Uint8Array(decrypted));
+    } catch (e) {
+      // Counted by the worker - logging every frame would flood the console
+      return null;
+    }
+  }
+}
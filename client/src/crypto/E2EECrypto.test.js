@@ -0,0 +1,138 @@
+import { describe, expect, it, vi } from 'vitest';
+import { E2EECrypto } from './E2EECrypto';
+import { encodeHeader, parseHeader } from './sframe';
+
+const sessionKey = () => new Uint8Array(64).fill(7);
+
+// Sender 1 and sender 2 of one call
+async function createPair(purpose) {
+  const a = new E2EECrypto(purpose);
+  const b = new E2EECrypto(purpose);
+  await a.setSessionKey(sessionKey(), 1, 2);
+  await b.setSessionKey(sessionKey(), 2, 1);
+  return { a, b };
+}
+
+const frame = (text) => new TextEncoder().encode(text);
+const read = (bytes) => new TextDecoder().decode(bytes);
+
+describe('E2EECrypto', () => {
+  it('decrypts what the other side encrypted', async () => {
+    const { a, b } = await createPair();
+    expect(read(await b.decryptFrame(await a.encryptFrame(frame('hello'))))).toBe('hello');
+    expect(read(await a.decryptFrame(await b.encryptFrame(frame('back'))))).toBe('back');
+  });
+
+  it('wipes the session key it was given', async () => {
+    const key = sessionKey();
+    await new E2EECrypto().setSessionKey(key, 1, 2);
+    expect(key.every(byte => byte === 0)).toBe(true);
+  });
+
+  it('does nothing without a key', async () => {
+    const crypto = new E2EECrypto();
+    expect(await crypto.encryptFrame(frame('x'))).toBeNull();
+    expect(await crypto.decryptFrame(frame('x'))).toBeNull();
+  });
+
+  it('rejects replayed, reflected and tampered frames', async () => {
+    const { a, b } = await createPair();
+    const encrypted = await a.encryptFrame(frame('once'));
+    expect(await b.decryptFrame(encrypted)).not.toBeNull();
+    expect(await b.decryptFrame(encrypted)).toBeNull();
+    expect(await a.decryptFrame(await a.encryptFrame(frame('mine')))).toBeNull();
+
+    const tampered = await a.encryptFrame(frame('changed'));
+    tampered[tampered.length - 1] ^= 1;
+    expect(await b.decryptFrame(tampered)).toBeNull();
+  });
+
+  it('authenticates the clear codec header', async () => {
+    const { a, b } = await createPair();
+    const encrypted = await a.encryptFrame(frame('HDRpayload'), { clearBytes: 3 });
+    expect(read(encrypted.subarray(0, 3))).toBe('HDR');
+    expect(read(await b.decryptFrame(encrypted, { clearBytes: 3 }))).toBe('HDRpayload');
+    encrypted[0] ^= 1;
+    expect(await b.decryptFrame(encrypted, { clearBytes: 3 })).toBeNull();
+  });
+
+  it('keeps media and data key chains apart', async () => {
+    const media = await createPair('SFrame');
+    const data = await createPair('data');
+    expect(await data.b.decryptFrame(await media.a.encryptFrame(frame('x')))).toBeNull();
+  });
+
+  it('follows a rotation and still accepts the previous epoch for a while', async () => {
+    const { a, b } = await createPair();
+    const old = await a.encryptFrame(frame('old'));
+    await a.rotateKey();
+    expect(read(await b.decryptFrame(await a.encryptFrame(frame('new'))))).toBe('new');
+    expect(read(await b.decryptFrame(old))).toBe('old');
+  });
+
+  it('never reuses a key id and counter when rotations overlap', async () => {
+    const { a, b } = await createPair();
+    const headers = new Set();
+    const encrypt = async () => {
+      const encrypted = await a.encryptFrame(frame('frame'));
+      const { kid, counter } = parseHeader(encrypted);
+      headers.add(`${kid}:${counter}`);
+      return encrypted;
+    };
+
+    const frames = [await encrypt()];
+    // A double click on rotate while frames keep flowing
+    const rotations = [a.rotateKey(), a.rotateKey()];
+    frames.push(await encrypt());
+    await rotations[0];
+    frames.push(await encrypt());
+    await rotations[1];
+    frames.push(await encrypt(), await encrypt());
+
+    expect(headers.size).toBe(frames.length);
+    expect(a.send.epoch).toBe(2);
+    for (const encrypted of frames) {
+      expect(await b.decryptFrame(encrypted)).not.toBeNull();
+    }
+  });
+
+  it('catches up with a sender several rotations ahead', async () => {
+    const { a, b } = await createPair();
+    for (let i = 0; i < 3; i++) await a.rotateKey();
+    expect(read(await b.decryptFrame(await a.encryptFrame(frame('later'))))).toBe('later');
+    expect(b.receivers.get(1).current.epoch).toBe(3);
+  });
+
+  it('gives up on a sender too far ahead', async () => {
+    const { a, b } = await createPair();
+    for (let i = 0; i < 9; i++) await a.rotateKey();
+    expect(await b.decryptFrame(await a.encryptFrame(frame('lost')))).toBeNull();
+    expect(b.receivers.get(1).current.epoch).toBe(0);
+  });
+
+  it('only moves to a newer epoch once a frame under it authenticates', async () => {
+    const { a, b } = await createPair();
+    // Sender 1, epoch 1, with a body that isn't a valid ciphertext
+    const forged = new Uint8Array([...encodeHeader(257, 0), ...new Uint8Array(32)]);
+    expect(await b.decryptFrame(forged)).toBeNull();
+    expect(b.receivers.get(1).current.epoch).toBe(0);
+    expect(read(await b.decryptFrame(await a.encryptFrame(frame('still'))))).toBe('still');
+  });
+
+  it('drops the previous epoch after the grace period', async () => {
+    const { a, b } = await createPair();
+    const old = await a.encryptFrame(frame('old'));
+    const older = await a.encryptFrame(frame('older'));
+    await a.rotateKey();
+    await b.decryptFrame(await a.encryptFrame(frame('new')));
+    expect(read(await b.decryptFrame(old))).toBe('old');
+
+    const now = Date.now();
+    vi.spyOn(Date, 'now').mockReturnValue(now + 6000);
+    try {
+      expect(await b.decryptFrame(older)).toBeNull();
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+});
@@ -0,0 +1,69 @@
+// Main-thread handle on the E2EE worker. Attaches encrypt/decrypt
+// transforms to senders and receivers with whichever API the browser has.
+
+const hasScriptTransform = typeof window !== 'undefined' && 'RTCRtpScriptTransform' in window;
+const hasEncodedStreams = typeof RTCRtpSender !== 'undefined' &&
+  'createEncodedStreams' in RTCRtpSender.prototype;
+
+// 'script-transform', 'encoded-streams' or null when frames can't be encrypted
+export const e2eeMode = hasScriptTransform ? 'script-transform' : hasEncodedStreams ? 'encoded-streams' : null;
+
+// Chromium only exposes createEncodedStreams on connections created with this flag
+export const e2eePeerConfig = e2eeMode === 'encoded-streams' ? { encodedInsertableStreams: true } : {};
+
+// Identifies one transformed track in worker stats
+export const trackKey = (endpoint, operation) => `${operation}:${endpoint.track.id}`;
+
+export class FrameCryptor {
+  // onStats receives { trackId: { operation, kind, frames, errors, recentFrames, recentErrors, avgMs } }
+  constructor(onStats = () => {}) {
+    this.worker = new Worker(new URL('./e2ee.worker.js', import.meta.url), {
+      type: 'module',
+      name: 'e2ee'
+    });
+    this.worker.onmessage = ({ data }) => {
+      if (data.type === 'stats') onStats(data.tracks);
+    };
+  }
+
+  // Hand the CPace session key and both SFrame sender IDs to the worker
+  setSessionKey(sessionKey, localSenderId, remoteSenderId) {
+    this.worker.postMessage({ type: 'setKey', sessionKey, localSenderId, remoteSenderId });
+  }
+
+  // Ratchet our sending key forward - receivers follow via the SFrame KID
+  rotateKey() {
+    this.worker.postMessage({ type: 'rotate' });
+  }
+
+  // Tell the worker which codec each negotiated payload type carries
+  updateCodecs(pc) {
+    const codecs = [...pc.getSenders(), ...pc.getReceivers()]
+      .flatMap(endpoint => endpoint.getParameters().codecs || [])
+      .map(({ payloadType, mimeType }) => ({ payloadType, mimeType }));
+    this.worker.postMessage({ type: 'codecs', codecs });
+  }
+
+  // operation is 'encrypt' for senders, 'decrypt' for receivers.
+  // Returns false when the browser can't transform encoded frames
+  attach(endpoint, operation) {
+    const options = { operation, kind: endpoint.track.kind, trackId: trackKey(endpoint, operation) };
+
+    if (e2eeMode === 'script-transform') {
+      endpoint.transform = new RTCRtpScriptTransform(this.worker, options);
+      return true;
+    }
+
+    if (e2eeMode === 'encoded-streams') {
+      const { readable, writable } = endpoint.createEncodedStreams();
+      this.worker.postMessage({ type: 'transform', ...options, readable, writable }, [readable, writable]);
+      return true;
+    }
+
+    return false;
+  }
+
+  terminate() {
+    this.worker.terminate();
+  }
+}
@@ -0,0 +1,101 @@
+// Codec-aware frame layout: the bytes the browser's depacketizer and jitter
+// buffer look at stay in the clear (and are authenticated as SFrame AAD),
+// only the media payload behind them is encrypted.
+
+// VP8 payload header (RFC 6386 9.1): 3-byte frame tag, keyframes add 7 bytes
+// of start code and dimensions
+const VP8_KEY_FRAME_CLEAR_BYTES = 10;
+const VP8_DELTA_FRAME_CLEAR_BYTES = 3;
+// Opus TOC byte
+const OPUS_CLEAR_BYTES = 1;
+
+// H.264 slice NAL unit types (non-IDR and IDR)
+const H264_SLICE_TYPES = new Set([1, 5]);
+// Marks the end of an escaped payload so it can never end in a zero byte
+const H264_TRAILER = 0xff;
+
+const codecName = (mimeType) => mimeType.split('/')[1].toLowerCase();
+
+// Returns chunk => codec name. Prefers the frame metadata, then the
+// negotiated payload type (payloadTypes maps payload type -> mimeType),
+// then the kind's default codec
+export function createCodecDetector(payloadTypes, kind) {
+  return (chunk) => {
+    const metadata = chunk.getMetadata ? chunk.getMetadata() : {};
+    if (metadata.mimeType) {
+      return codecName(metadata.mimeType);
+    }
+
+    if (payloadTypes.has(metadata.payloadType)) {
+      return codecName(payloadTypes.get(metadata.payloadType));
+    }
+
+    return kind === 'audio' ? 'opus' : 'vp8';
+  };
+}
+
+// Keep Annex B start codes and NAL headers clear up to and including the
+// first slice header byte
+function h264ClearBytes(data) {
+  for (let i = 0; i + 3 < data.length; i++) {
+    if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+      const nalStart = i + 3;
+      if (H264_SLICE_TYPES.has(data[nalStart] & 0x1f)) {
+        return Math.min(nalStart + 2, data.length);
+      }
+      i += 2;
+    }
+  }
+  // Parameter sets only (SPS/PPS) - nothing to hide
+  return data.length;
+}
+
+// How much of a frame stays clear, and whether the encrypted part needs
+// H.264 emulation prevention so it can't fake a start code
+export function frameLayout(codec, frameType, data) {
+  let clearBytes = 0;
+  switch (codec) {
+    case 'vp8':
+      clearBytes = frameType === 'key' ? VP8_KEY_FRAME_CLEAR_BYTES : VP8_DELTA_FRAME_CLEAR_BYTES;
+      break;
+    case 'opus':
+      clearBytes = OPUS_CLEAR_BYTES;
+      break;
+    case 'h264':
+      return { clearBytes: h264ClearBytes(data), escape: true };
+    default:
+      break;
+  }
+  return { clearBytes: Math.min(clearBytes, data.length), escape: false };
+}
+
+// Insert 0x03 after two zero bytes whenever the next byte is <= 3
+export function escapeNal(data) {
+  const out = [];
+  let zeros = 0;
+  for (const byte of data) {
+    if (zeros >= 2 && byte <= 3) {
+      out.push(3);
+      zeros = 0;
+    }
+    out.push(byte);
+    zeros = byte === 0 ? zeros + 1 : 0;
+  }
+  out.push(H264_TRAILER);
+  return Uint8Array.from(out);
+}
+
+export function unescapeNal(data) {
+  const out = [];
+  let zeros = 0;
+  for (let i = 0; i < data.length - 1; i++) {
+    const byte = data[i];
+    if (zeros >= 2 && byte === 3) {
+      zeros = 0;
+      continue;
+    }
+    out.push(byte);
+    zeros = byte === 0 ? zeros + 1 : 0;
+  }
+  return Uint8Array.from(out);
+}
@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import { createCodecDetector, escapeNal, frameLayout, unescapeNal } from './codecs';
+
+const bytes = (...values) => new Uint8Array(values);
+
+// An escaped payload must never contain a start code (00 00 00/01/02)
+const hasStartCode = (data) => data.some((byte, i) => i >= 2 && data[i - 2] === 0 && data[i - 1] === 0 && byte <= 2);
+
+describe('H.264 emulation prevention', () => {
+  it('inserts 03 after two zeros before any byte up to 03', () => {
+    expect(escapeNal(bytes(0, 0, 0))).toEqual(bytes(0, 0, 3, 0, 0xff));
+    expect(escapeNal(bytes(0, 0, 1))).toEqual(bytes(0, 0, 3, 1, 0xff));
+    expect(escapeNal(bytes(0, 0, 3))).toEqual(bytes(0, 0, 3, 3, 0xff));
+    expect(escapeNal(bytes(0, 0, 4))).toEqual(bytes(0, 0, 4, 0xff));
+    expect(escapeNal(bytes(0, 0, 0, 0, 0))).toEqual(bytes(0, 0, 3, 0, 0, 3, 0, 0xff));
+  });
+
+  it('ends every payload with a trailer so it can not end in zeros', () => {
+    expect(escapeNal(bytes())).toEqual(bytes(0xff));
+    expect(escapeNal(bytes(1, 0, 0))).toEqual(bytes(1, 0, 0, 0xff));
+  });
+
+  it('round-trips the edge cases', () => {
+    const cases = [
+      bytes(),
+      bytes(0, 0),
+      bytes(0, 0, 3),
+      bytes(0, 0, 3, 0, 0, 3),
+      bytes(0, 0, 3, 3),
+      bytes(0, 0, 0, 1, 0x65),
+      bytes(0xff, 0, 0, 2, 0, 0)
+    ];
+    for (const data of cases) {
+      const escaped = escapeNal(data);
+      expect(hasStartCode(escaped)).toBe(false);
+      expect(unescapeNal(escaped)).toEqual(data);
+    }
+  });
+
+  it('round-trips ciphertext-like data', () => {
+    // Zero-heavy, so 00 00 0x runs come up often
+    const data = crypto.getRandomValues(new Uint8Array(4096)).map(byte => (byte < 160 ? 0 : byte & 3));
+    const escaped = escapeNal(data);
+    expect(hasStartCode(escaped)).toBe(false);
+    expect(unescapeNal(escaped)).toEqual(data);
+  });
+});
+
+describe('frameLayout', () => {
+  const frame = (length) => new Uint8Array(length).fill(0x55);
+
+  it('keeps the VP8 payload header clear', () => {
+    expect(frameLayout('vp8', 'key', frame(100))).toEqual({ clearBytes: 10, escape: false });
+    expect(frameLayout('vp8', 'delta', frame(100))).toEqual({ clearBytes: 3, escape: false });
+    expect(frameLayout('vp8', 'key', frame(4))).toEqual({ clearBytes: 4, escape: false });
+  });
+
+  it('keeps the Opus TOC byte clear', () => {
+    expect(frameLayout('opus', undefined, frame(60))).toEqual({ clearBytes: 1, escape: false });
+  });
+
+  it('keeps H.264 parameter sets and the first slice header byte clear', () => {
+    const sps = bytes(0, 0, 0, 1, 0x67, 0x42, 0x00);
+    const idr = bytes(0, 0, 1, 0x65, 0x88, 0x84, 0x21, 0xa0);
+    const data = new Uint8Array([...sps, ...idr]);
+    expect(frameLayout('h264', 'key', data)).toEqual({ clearBytes: sps.length + 5, escape: true });
+
+    const delta = bytes(0, 0, 0, 1, 0x41, 0x9a, 0x02, 0x04);
+    expect(frameLayout('h264', 'delta', delta)).toEqual({ clearBytes: 6, escape: true });
+    // Nothing but parameter sets - nothing to hide
+    expect(frameLayout('h264', 'key', sps)).toEqual({ clearBytes: sps.length, escape: true });
+  });
+
+  it('encrypts all of an unknown codec', () => {
+    expect(frameLayout('vp9', 'key', frame(100))).toEqual({ clearBytes: 0, escape: false });
+  });
+});
+
+describe('createCodecDetector', () => {
+  const payloadTypes = new Map([[102, 'video/H264'], [111, 'audio/opus']]);
+  const chunk = (metadata) => ({ getMetadata: () => metadata });
+
+  it('prefers the frame metadata, then the payload type, then the default', () => {
+    const detect = createCodecDetector(payloadTypes, 'video');
+    expect(detect(chunk({ mimeType: 'video/VP8', payloadType: 102 }))).toBe('vp8');
+    expect(detect(chunk({ payloadType: 102 }))).toBe('h264');
+    expect(detect(chunk({ payloadType: 96 }))).toBe('vp8');
+    expect(createCodecDetector(payloadTypes, 'audio')({})).toBe('opus');
+  });
+});
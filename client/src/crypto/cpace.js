@@ -0,0 +1,145 @@
+import { ristretto255, ristretto255_hasher } from '@noble/curves/ed25519.js';
+import { utf8, concatBytes, compareBytes, toBase64, fromBase64, bytesEqual } from './encoding';
+
+// CPace balanced PAKE (draft-irtf-cfrg-cpace) over ristretto255.
+// The PIN only selects the generator, so an eavesdropper - including the
+// signaling server - learns nothing it could brute-force offline, and the
+// fresh ephemeral scalars give every call its own session key.
+
+const DSI = utf8('CPaceRistretto255');
+const DSI_ISK = utf8('CPaceRistretto255_ISK');
+// One label per side, so a tag reflected back at its sender never verifies
+const CONFIRM_LABELS = {
+  1: utf8('SecureCall key confirmation initiator'),
+  2: utf8('SecureCall key confirmation responder')
+};
+const SAS_LABEL = utf8('SecureCall SAS secret');
+const REKEY_LABEL = utf8('SecureCall rekey');
+
+// LEB128 length-prefixed concatenation (lv_cat in the draft)
+function lvCat(...parts) {
+  return concatBytes(...parts.flatMap(part => {
+    const prefix = [];
+    let length = part.length;
+    do {
+      let byte = length & 0x7f;
+      length >>>= 7;
+      if (length) byte |= 0x80;
+      prefix.push(byte);
+    } while (length);
+    return [new Uint8Array(prefix), part];
+  }));
+}
+
+// Ordered concatenation so both peers build the same transcript without roles
+function orderedCat(a, b) {
+  return compareBytes(a, b) >= 0 ? concatBytes(a, b) : concatBytes(b, a);
+}
+
+export class CPaceSession {
+  // channelId binds the exchange to the room so shares can't be replayed elsewhere
+  constructor(pin, channelId) {
+    const generatorString = lvCat(DSI, utf8(pin), utf8(channelId));
+    const generator = ristretto255_hasher.hashToCurve(generatorString, { DST: DSI });
+
+    this.scalar = ristretto255_hasher.hashToScalar(crypto.getRandomValues(new Uint8Array(64)), { DST: DSI });
+    this.share = generator.multiply(this.scalar).toBytes();
+    this.peerShare = null;
+    this.sessionKey = null;
+    this.sasSecret = null;
+    this.rekeyKey = null;
+  }
+
+  // Our public share, sent to the peer over signaling
+  getShare() {
+    return toBase64(this.share);
+  }
+
+  // Combine the peer's share into the intermediate session key (ISK)
+  async finish(peerShareB64) {
+    const peerShare = fromBase64(peerShareB64);
+    // Our own share sent back would let a reflection pass as a peer
+    if (bytesEqual(peerShare, this.share)) {
+      throw new Error('Key exchange share was reflected');
+    }
+    const peerPoint = ristretto255.Point.fromBytes(peerShare);
+    const sharedPoint = peerPoint.multiply(this.scalar);
+    if (sharedPoint.is0()) {
+      throw new Error('Invalid key exchange share');
+    }
+
+    const transcript = concatBytes(
+      lvCat(DSI_ISK, sharedPoint.toBytes()),
+      orderedCat(this.share, peerShare)
+    );
+    this.peerShare = peerShare;
+    this.sessionKey = new Uint8Array(await crypto.subtle.digest('SHA-512', transcript));
+    // One-way derived so the SAS can outlive the session key
+    this.sasSecret = new Uint8Array(await crypto.subtle.digest('SHA-256', concatBytes(SAS_LABEL, this.sessionKey)));
+    // Rekey requests are authenticated for the whole call, after the session key is gone
+    this.rekeyKey = await crypto.subtle.importKey(
+      'raw',
+      await crypto.subtle.digest('SHA-256', concatBytes(REKEY_LABEL, this.sessionKey)),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    return this.sessionKey;
+  }
+
+  // Tag over the sender's side and both shares in its order
+  async confirmationMac(senderId, senderShare, receiverShare) {
+    const macKey = await crypto.subtle.importKey(
+      'raw',
+      this.sessionKey,
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const tag = await crypto.subtle.sign('HMAC', macKey, concatBytes(CONFIRM_LABELS[senderId], senderShare, receiverShare));
+    return new Uint8Array(tag);
+  }
+
+  // SFrame sender IDs (1 or 2), agreed without roles by ordering the shares
+  getSenderId() {
+    return compareBytes(this.share, this.peerShare) < 0 ? 1 : 2;
+  }
+
+  getPeerSenderId() {
+    return 3 - this.getSenderId();
+  }
+
+  // Wipe secrets once the frame keys are derived, for forward secrecy
+  forget() {
+    if (this.sessionKey) this.sessionKey.fill(0);
+    this.sessionKey = null;
+    this.scalar = null;
+  }
+
+  // Key confirmation tag proving we derived the same ISK
+  async getConfirmation() {
+    return toBase64(await this.confirmationMac(this.getSenderId(), this.share, this.peerShare));
+  }
+
+  // Check the peer's tag - a mismatch means the PINs differ (or someone is in the middle)
+  async verifyConfirmation(tagB64) {
+    if (!this.sessionKey) return false;
+    const expected = await this.confirmationMac(this.getPeerSenderId(), this.peerShare, this.share);
+    return bytesEqual(expected, fromBase64(tagB64));
+  }
+
+  // seq must only ever grow, so a recorded rekey can't be replayed
+  async rekeyMac(senderId, seq) {
+    const tag = await crypto.subtle.sign('HMAC', this.rekeyKey, concatBytes(REKEY_LABEL, utf8(`|${senderId}|${seq}`)));
+    return new Uint8Array(tag);
+  }
+
+  async getRekeyTag(seq) {
+    return toBase64(await this.rekeyMac(this.getSenderId(), seq));
+  }
+
+  async verifyRekey(seq, tagB64) {
+    if (!this.rekeyKey) return false;
+    return bytesEqual(await this.rekeyMac(this.getPeerSenderId(), seq), fromBase64(tagB64));
+  }
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { CPaceSession } from './cpace';
+
+const CHANNEL = 'room:alice:bob';
+
+// Both sides of one exchange, shares swapped
+async function exchange(pinA = '1234567890', pinB = pinA) {
+  const a = new CPaceSession(pinA, CHANNEL);
+  const b = new CPaceSession(pinB, CHANNEL);
+  await a.finish(b.getShare());
+  await b.finish(a.getShare());
+  return { a, b };
+}
+
+describe('CPaceSession', () => {
+  it('agrees on a session key and opposite sender ids with the same PIN', async () => {
+    const { a, b } = await exchange();
+    expect(a.sessionKey).toEqual(b.sessionKey);
+    expect(a.sasSecret).toEqual(b.sasSecret);
+    expect(a.getSenderId()).toBe(b.getPeerSenderId());
+    expect(a.getPeerSenderId()).toBe(b.getSenderId());
+  });
+
+  it('confirms each side with the other one', async () => {
+    const { a, b } = await exchange();
+    expect(await b.verifyConfirmation(await a.getConfirmation())).toBe(true);
+    expect(await a.verifyConfirmation(await b.getConfirmation())).toBe(true);
+  });
+
+  it('derives a fresh key for every exchange', async () => {
+    const first = await exchange();
+    const second = await exchange();
+    expect(first.a.sessionKey).not.toEqual(second.a.sessionKey);
+  });
+
+  it('fails confirmation when the PINs differ', async () => {
+    const { a, b } = await exchange('1234567890', '1234567891');
+    expect(a.sessionKey).not.toEqual(b.sessionKey);
+    expect(await b.verifyConfirmation(await a.getConfirmation())).toBe(false);
+  });
+
+  it('fails confirmation when the channel differs', async () => {
+    const a = new CPaceSession('1234567890', CHANNEL);
+    const b = new CPaceSession('1234567890', 'other-room:alice:bob');
+    await a.finish(b.getShare());
+    await b.finish(a.getShare());
+    expect(await b.verifyConfirmation(await a.getConfirmation())).toBe(false);
+  });
+
+  it('rejects its own share sent back', async () => {
+    const a = new CPaceSession('1234567890', CHANNEL);
+    await expect(a.finish(a.getShare())).rejects.toThrow('reflected');
+    expect(a.sessionKey).toBeNull();
+  });
+
+  it('does not accept its own confirmation tag', async () => {
+    const { a } = await exchange();
+    expect(await a.verifyConfirmation(await a.getConfirmation())).toBe(false);
+  });
+
+  it('rejects the identity point', async () => {
+    const a = new CPaceSession('1234567890', CHANNEL);
+    await expect(a.finish(btoa(String.fromCharCode(...new Uint8Array(32))))).rejects.toThrow();
+  });
+
+  it('verifies nothing before the exchange finished', async () => {
+    const a = new CPaceSession('1234567890', CHANNEL);
+    expect(await a.verifyConfirmation('AAAA')).toBe(false);
+  });
+});
@@ -0,0 +1,109 @@
+import { E2EECrypto } from './E2EECrypto';
+import { createCodecDetector, frameLayout } from './codecs';
+
+// Frame encryption runs here so main-thread rendering never stalls media.
+// Frames arrive either via RTCRtpScriptTransform (rtctransform event) or as
+// encoded streams transferred from the main thread (Chromium fallback).
+
+const e2ee = new E2EECrypto();
+// Negotiated payload type -> mimeType, for frames without metadata.mimeType
+const payloadTypes = new Map();
+// trackId -> frame counters, reported to the main thread every second
+const trackStats = new Map();
+const STATS_INTERVAL = 1000;
+
+function createTransform(operation, kind, trackId) {
+  const detectCodec = createCodecDetector(payloadTypes, kind);
+  // avgMs is the mean time spent in the cipher per frame over the last interval
+  const stats = { operation, kind, frames: 0, errors: 0, recentFrames: 0, recentErrors: 0, recentTime: 0, avgMs: 0 };
+  trackStats.set(trackId, stats);
+
+  return new TransformStream({
+    transform: async (chunk, controller) => {
+      const data = new Uint8Array(chunk.data);
+      const layout = frameLayout(detectCodec(chunk), chunk.type, data);
+      const started = performance.now();
+
+      if (operation === 'encrypt') {
+        // Drop outgoing frames until the session key exists
+        const encrypted = await e2ee.encryptFrame(data, layout);
+        if (!encrypted) return;
+        chunk.data = encrypted.buffer;
+      } else {
+        // Frames that fail to decrypt are dropped, never passed on empty
+        const decrypted = await e2ee.decryptFrame(data, layout);
+        if (!decrypted) {
+          if (e2ee.hasKey) {
+            stats.errors++;
+            stats.recentErrors++;
+          }
+          return;
+        }
+        chunk.data = decrypted.buffer;
+      }
+
+      stats.frames++;
+      stats.recentFrames++;
+      stats.recentTime += performance.now() - started;
+
+      controller.enqueue(chunk);
+    }
+  });
+}
+
+function pipeFrames({ readable, writable }, operation, kind, trackId) {
+  readable
+    .pipeThrough(createTransform(operation, kind, trackId))
+    .pipeTo(writable)
+    .catch(error => console.error(`E2EE ${operation} pipeline stopped:`, error))
+    .finally(() => trackStats.delete(trackId));
+}
+
+setInterval(() => {
+  if (trackStats.size === 0) return;
+  for (const stats of trackStats.values()) {
+    stats.avgMs = stats.recentFrames > 0 ? stats.recentTime / stats.recentFrames : 0;
+  }
+  self.postMessage({ type: 'stats', tracks: Object.fromEntries(trackStats) });
+  for (const stats of trackStats.values()) {
+    stats.recentFrames = 0;
+    stats.recentErrors = 0;
+    stats.recentTime = 0;
+  }
+}, STATS_INTERVAL);
+
+// Standard API (Firefox, Safari, newer Chromium)
+self.onrtctransform = ({ transformer }) => {
+  const { operation, kind, trackId } = transformer.options;
+  pipeFrames(transformer, operation, kind, trackId);
+};
+
+// Messages are handled strictly in order: a rotation must not start before
+// the key it ratchets is installed, nor overlap another rotation
+let messages = Promise.resolve();
+
+self.onmessage = ({ data }) => {
+  messages = messages
+    .then(() => handleMessage(data))
+    .catch(error => console.error(`E2EE worker failed to handle ${data.type}:`, error));
+};
+
+async function handleMessage(data) {
+  switch (data.type) {
+    case 'setKey':
+      await e2ee.setSessionKey(data.sessionKey, data.localSenderId, data.remoteSenderId);
+      break;
+    case 'rotate':
+      await e2ee.rotateKey();
+      break;
+    case 'codecs':
+      data.codecs.forEach(({ payloadType, mimeType }) => payloadTypes.set(payloadType, mimeType));
+      break;
+    case 'transform':
+      // Legacy createEncodedStreams fallback
+      pipeFrames(data, data.operation, data.kind, data.trackId);
+      break;
+    default:
+      console.warn('Unknown E2EE worker message:', data.type);
+  }
+}
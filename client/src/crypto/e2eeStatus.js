@@ -0,0 +1,45 @@
+// Per-track encryption state, derived from key exchange progress and the
+// worker's frame counters. The status badge shows the worst state.
+
+// Ordered worst first
+export const E2EE_STATES = ['key-mismatch', 'unsupported', 'decrypt-errors', 'pending', 'active'];
+
+// What to do when this browser can't encrypt frames: 'block' refuses the
+// call, 'warn' asks for confirmation first
+export const E2EE_POLICY = import.meta.env.VITE_E2EE_POLICY === 'warn' ? 'warn' : 'block';
+
+// keyState: 'pending', 'established' or 'mismatch'
+export function trackState(track, keyState) {
+  if (!track.supported) return 'unsupported';
+  if (keyState === 'mismatch') return 'key-mismatch';
+  if (keyState !== 'established') return 'pending';
+  // Errors with nothing decrypting in the last interval - not just a stray bad frame
+  if (track.operation === 'decrypt' && track.recentErrors > 0 && track.recentFrames === 0) {
+    return 'decrypt-errors';
+  }
+  return 'active';
+}
+
+// Overall state for the badge plus the total decrypt error count
+export function summarizeE2EE(tracks, keyState) {
+  const entries = Object.values(tracks);
+  if (entries.length === 0) {
+    return { state: keyState === 'mismatch' ? 'key-mismatch' : 'pending', errors: 0 };
+  }
+
+  const state = entries
+    .map(track => trackState(track, keyState))
+    .reduce((worst, next) => (E2EE_STATES.indexOf(next) < E2EE_STATES.indexOf(worst) ? next : worst));
+  const errors = entries.reduce((sum, track) => sum + (track.errors || 0), 0);
+  return { state, errors };
+}
+
+// Worst state across all peers of a mesh call
+export function summarizePeers(peers) {
+  const summaries = Object.values(peers).map(peer => summarizeE2EE(peer.tracks, peer.keyState));
+  if (summaries.length === 0) return { state: 'pending', errors: 0 };
+  return summaries.reduce((worst, next) => ({
+    state: E2EE_STATES.indexOf(next.state) < E2EE_STATES.indexOf(worst.state) ? next.state : worst.state,
+    errors: worst.errors + next.errors
+  }));
+}
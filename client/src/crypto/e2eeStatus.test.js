@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { summarizeE2EE, summarizePeers, trackState } from './e2eeStatus';
+
+const decrypting = (overrides = {}) => ({
+  supported: true,
+  operation: 'decrypt',
+  recentFrames: 30,
+  recentErrors: 0,
+  errors: 0,
+  ...overrides
+});
+
+describe('trackState', () => {
+  it('is only active once keys are established', () => {
+    expect(trackState(decrypting(), 'pending')).toBe('pending');
+    expect(trackState(decrypting(), 'mismatch')).toBe('key-mismatch');
+    expect(trackState(decrypting(), 'established')).toBe('active');
+  });
+
+  it('reports a browser that can not encrypt frames before anything else', () => {
+    expect(trackState(decrypting({ supported: false }), 'mismatch')).toBe('unsupported');
+  });
+
+  it('flags decrypt errors only when nothing decrypts any more', () => {
+    expect(trackState(decrypting({ recentErrors: 2 }), 'established')).toBe('active');
+    expect(trackState(decrypting({ recentErrors: 2, recentFrames: 0 }), 'established')).toBe('decrypt-errors');
+    expect(trackState(decrypting({ operation: 'encrypt', recentErrors: 2, recentFrames: 0 }), 'established'))
+      .toBe('active');
+  });
+});
+
+describe('summarizeE2EE', () => {
+  it('waits for tracks, unless the keys already mismatch', () => {
+    expect(summarizeE2EE({}, 'established')).toEqual({ state: 'pending', errors: 0 });
+    expect(summarizeE2EE({}, 'mismatch')).toEqual({ state: 'key-mismatch', errors: 0 });
+  });
+
+  it('shows the worst track and adds up the errors', () => {
+    const tracks = {
+      audio: decrypting({ errors: 1 }),
+      video: decrypting({ errors: 4, recentErrors: 4, recentFrames: 0 })
+    };
+    expect(summarizeE2EE(tracks, 'established')).toEqual({ state: 'decrypt-errors', errors: 5 });
+  });
+});
+
+describe('summarizePeers', () => {
+  it('shows the worst peer of a mesh call', () => {
+    const peers = {
+      a: { tracks: { video: decrypting() }, keyState: 'established' },
+      b: { tracks: { video: decrypting({ errors: 2 }) }, keyState: 'pending' },
+      c: { tracks: { video: decrypting({ supported: false, errors: 1 }) }, keyState: 'established' }
+    };
+    expect(summarizePeers(peers)).toEqual({ state: 'unsupported', errors: 3 });
+    expect(summarizePeers({})).toEqual({ state: 'pending', errors: 0 });
+  });
+});
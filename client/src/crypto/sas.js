@@ -0,0 +1,52 @@
+import { utf8, concatBytes } from './encoding';
+
+// Short authentication string: both peers hash the CPace-derived SAS secret
+// together with both DTLS fingerprints. A signaling server that swaps in its
+// own peer or DTLS endpoint makes the two sides see different strings.
+
+// 64 easily named emoji - 6 bits each
+const SAS_EMOJI = [
+  '🐶', '🐱', '🦁', '🐴', '🦄', '🐷', '🐘', '🐰',
+  '🐼', '🐓', '🐧', '🐢', '🐟', '🐙', '🦋', '🌷',
+  '🌳', '🌵', '🍄', '🌏', '🌙', '☁️', '🔥', '🍌',
+  '🍎', '🍓', '🌽', '🍕', '🎂', '❤️', '😀', '🤖',
+  '🎩', '👓', '🔧', '🎅', '👍', '☂️', '⌛', '⏰',
+  '🎁', '💡', '📕', '✏️', '📎', '✂️', '🔒', '🔑',
+  '🔨', '☎️', '🏁', '🚂', '🚲', '✈️', '🚀', '🏆',
+  '⚽', '🎸', '🎺', '🔔', '⚓', '🎧', '📁', '📌'
+];
+const EMOJI_COUNT = 5;
+const DIGIT_GROUPS = 3;
+
+// "sha-256 AB:CD:..." entries from an SDP, normalized and de-duplicated
+export function parseFingerprints(sdp) {
+  if (!sdp) return [];
+  const matches = sdp.match(/^a=fingerprint:\S+ [0-9A-Fa-f:]+/gm) || [];
+  const fingerprints = matches.map(line => {
+    const [algorithm, value] = line.slice('a=fingerprint:'.length).split(' ');
+    return `${algorithm.toLowerCase()} ${value.toUpperCase()}`;
+  });
+  return [...new Set(fingerprints)].sort();
+}
+
+// Returns { emoji: [...], digits: '12345 67890 13579' }
+export async function computeSas(sasSecret, localFingerprints, remoteFingerprints) {
+  // Sort the two sides so both peers hash the same input
+  const sides = [localFingerprints.join(','), remoteFingerprints.join(',')].sort();
+  const digest = new Uint8Array(await crypto.subtle.digest(
+    'SHA-256',
+    concatBytes(utf8('SecureCall SAS'), sasSecret, utf8(sides.join('|')))
+  ));
+
+  // Emoji from the first 30 bits
+  const bits = (digest[0] << 24 | digest[1] << 16 | digest[2] << 8 | digest[3]) >>> 0;
+  const emoji = Array.from({ length: EMOJI_COUNT }, (_, i) => SAS_EMOJI[(bits >>> (26 - i * 6)) & 0x3f]);
+
+  // Independent 5-digit groups from later bytes
+  const view = new DataView(digest.buffer);
+  const digits = Array.from({ length: DIGIT_GROUPS }, (_, i) =>
+    String(view.getUint32(4 + i * 4) % 100000).padStart(5, '0')
+  ).join(' ');
+
+  return { emoji, digits };
+}
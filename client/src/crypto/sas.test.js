@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { createHash } from 'node:crypto';
+import { computeSas, parseFingerprints } from './sas';
+
+const secret = new Uint8Array(32).fill(7);
+const alice = ['sha-256 AA:BB:CC'];
+const bob = ['sha-256 11:22:33'];
+
+describe('parseFingerprints', () => {
+  it('normalizes, de-duplicates and sorts the SDP fingerprints', () => {
+    const sdp = [
+      'v=0',
+      'a=fingerprint:SHA-256 ab:cd:ef',
+      'm=audio 9 UDP/TLS/RTP/SAVPF 111',
+      'a=fingerprint:sha-256 AB:CD:EF',
+      'a=fingerprint:sha-1 01:02'
+    ].join('\r\n');
+    expect(parseFingerprints(sdp)).toEqual(['sha-1 01:02', 'sha-256 AB:CD:EF']);
+    expect(parseFingerprints(undefined)).toEqual([]);
+  });
+});
+
+describe('computeSas', () => {
+  it('shows both peers the same string', async () => {
+    expect(await computeSas(secret, alice, bob)).toEqual(await computeSas(secret, bob, alice));
+  });
+
+  it('hashes the label, the secret and both sides', async () => {
+    const digest = createHash('sha256')
+      .update('SecureCall SAS')
+      .update(secret)
+      .update('sha-256 11:22:33|sha-256 AA:BB:CC')
+      .digest();
+    const digits = [4, 8, 12].map(offset => String(digest.readUInt32BE(offset) % 100000).padStart(5, '0')).join(' ');
+
+    const sas = await computeSas(secret, alice, bob);
+    expect(sas.digits).toBe(digits);
+    expect(sas.digits).toMatch(/^\d{5} \d{5} \d{5}$/);
+    expect(sas.emoji).toHaveLength(5);
+    expect(sas.emoji.every(Boolean)).toBe(true);
+  });
+
+  it('changes with the secret or a swapped DTLS fingerprint', async () => {
+    const sas = await computeSas(secret, alice, bob);
+    expect(await computeSas(new Uint8Array(32).fill(8), alice, bob)).not.toEqual(sas);
+    // A man in the middle terminates DTLS with its own certificate on one side
+    expect(await computeSas(secret, alice, ['sha-256 66:66:66'])).not.toEqual(sas);
+  });
+});
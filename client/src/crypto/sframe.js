@@ -0,0 +1,139 @@
+import { utf8, concatBytes } from './encoding';
+
+// SFrame (RFC 9605) header encoding, key schedule and replay protection.
+// Cipher suite AES_256_GCM_SHA512_128: 32-byte key, 12-byte nonce, 16-byte tag.
+
+export const CIPHER_SUITE = 0x0005;
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 12;
+const HASH = 'SHA-512';
+
+// Frames this far behind the newest counter are rejected outright
+export const REPLAY_WINDOW = 1024;
+
+// Big-endian encoding of a non-negative safe integer into `length` bytes
+export function encodeBigEndian(value, length) {
+  const bytes = new Uint8Array(length);
+  let remaining = value;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = remaining % 256;
+    remaining = Math.floor(remaining / 256);
+  }
+  return bytes;
+}
+
+function decodeBigEndian(bytes) {
+  return bytes.reduce((value, byte) => value * 256 + byte, 0);
+}
+
+// Minimal number of bytes needed to hold value (at least one)
+function byteLength(value) {
+  let length = 1;
+  while (value >= 256 ** length) length++;
+  return length;
+}
+
+// Header: |X|K K K|Y|C C C| [KID] [CTR] - values below 8 fit in the config byte
+export function encodeHeader(kid, counter) {
+  const parts = [];
+  let config = 0;
+
+  if (kid < 8) {
+    config |= kid << 4;
+  } else {
+    const length = byteLength(kid);
+    config |= 0x80 | ((length - 1) << 4);
+    parts.push(encodeBigEndian(kid, length));
+  }
+
+  if (counter < 8) {
+    config |= counter;
+  } else {
+    const length = byteLength(counter);
+    config |= 0x08 | (length - 1);
+    parts.push(encodeBigEndian(counter, length));
+  }
+
+  return concatBytes(new Uint8Array([config]), ...parts);
+}
+
+// Returns { kid, counter, headerLength } or null for a truncated header
+export function parseHeader(data) {
+  if (data.length < 1) return null;
+  const config = data[0];
+  let offset = 1;
+  let kid = (config >> 4) & 0x07;
+  let counter = config & 0x07;
+
+  if (config & 0x80) {
+    const length = kid + 1;
+    if (data.length < offset + length) return null;
+    kid = decodeBigEndian(data.subarray(offset, offset + length));
+    offset += length;
+  }
+
+  if (config & 0x08) {
+    const length = counter + 1;
+    if (data.length < offset + length) return null;
+    counter = decodeBigEndian(data.subarray(offset, offset + length));
+    offset += length;
+  }
+
+  return { kid, counter, headerLength: offset };
+}
+
+// Derive the AEAD key and nonce salt for one KID from its base key
+export async function deriveKeySalt(baseKey, kid) {
+  const secret = await crypto.subtle.importKey('raw', baseKey, 'HKDF', false, ['deriveBits', 'deriveKey']);
+  const suffix = concatBytes(encodeBigEndian(kid, 8), encodeBigEndian(CIPHER_SUITE, 2));
+
+  const key = await crypto.subtle.deriveKey(
+    { name: 'HKDF', salt: new Uint8Array(0), info: concatBytes(utf8('SFrame 1.0 Secret key '), suffix), hash: HASH },
+    secret,
+    { name: 'AES-GCM', length: KEY_LENGTH * 8 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+  const salt = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'HKDF', salt: new Uint8Array(0), info: concatBytes(utf8('SFrame 1.0 Secret salt '), suffix), hash: HASH },
+    secret,
+    NONCE_LENGTH * 8
+  ));
+
+  return { key, salt };
+}
+
+// Nonce = salt XOR big-endian counter
+export function frameNonce(salt, counter) {
+  const nonce = encodeBigEndian(counter, NONCE_LENGTH);
+  for (let i = 0; i < NONCE_LENGTH; i++) {
+    nonce[i] ^= salt[i];
+  }
+  return nonce;
+}
+
+// Sliding window of accepted counters for one sender
+export class ReplayWindow {
+  constructor(size = REPLAY_WINDOW) {
+    this.size = size;
+    this.highest = -1;
+    this.seen = new Set();
+  }
+
+  // Check before decrypting; only authenticated frames are recorded
+  accepts(counter) {
+    if (counter > this.highest) return true;
+    if (this.highest - counter >= this.size) return false;
+    return !this.seen.has(counter);
+  }
+
+  record(counter) {
+    this.seen.add(counter);
+    if (counter > this.highest) {
+      this.highest = counter;
+      for (const old of this.seen) {
+        if (this.highest - old >= this.size) this.seen.delete(old);
+      }
+    }
+  }
+}
@@ -0,0 +1,133 @@
+import { describe, expect, it } from 'vitest';
+import { createCipheriv, hkdfSync } from 'node:crypto';
+import { encodeHeader, parseHeader, deriveKeySalt, frameNonce, encodeBigEndian, ReplayWindow, REPLAY_WINDOW } from './sframe';
+
+const bytes = (...values) => new Uint8Array(values);
+const hex = (value) => Buffer.from(value).toString('hex');
+
+describe('SFrame header', () => {
+  it('packs small key ids and counters into the config byte', () => {
+    expect(encodeHeader(0, 0)).toEqual(bytes(0x00));
+    expect(encodeHeader(7, 5)).toEqual(bytes(0x75));
+  });
+
+  it('appends larger values in as few bytes as they need', () => {
+    expect(encodeHeader(8, 0)).toEqual(bytes(0x80, 0x08));
+    expect(encodeHeader(0, 8)).toEqual(bytes(0x08, 0x08));
+    expect(encodeHeader(0x100, 0xffff)).toEqual(bytes(0x99, 0x01, 0x00, 0xff, 0xff));
+  });
+
+  it('parses what it encodes', () => {
+    for (const [kid, counter] of [[0, 0], [3, 7], [8, 8], [513, 70000], [2 ** 40, Number.MAX_SAFE_INTEGER]]) {
+      const header = encodeHeader(kid, counter);
+      const framed = new Uint8Array([...header, 0xaa, 0xbb]);
+      expect(parseHeader(framed)).toEqual({ kid, counter, headerLength: header.length });
+    }
+  });
+
+  it('rejects a truncated header', () => {
+    expect(parseHeader(new Uint8Array(0))).toBeNull();
+    expect(parseHeader(encodeHeader(0x100, 0).subarray(0, 2))).toBeNull();
+    expect(parseHeader(encodeHeader(0, 0xffff).subarray(0, 2))).toBeNull();
+  });
+});
+
+describe('SFrame key schedule', () => {
+  it('derives a different salt for every key id', async () => {
+    const baseKey = new Uint8Array(32).fill(1);
+    const first = await deriveKeySalt(baseKey, 1);
+    const again = await deriveKeySalt(baseKey, 1);
+    const other = await deriveKeySalt(baseKey, 2);
+    expect(first.salt).toHaveLength(12);
+    expect(first.salt).toEqual(again.salt);
+    expect(first.salt).not.toEqual(other.salt);
+    expect(first.key.algorithm).toMatchObject({ name: 'AES-GCM', length: 256 });
+    expect(first.key.extractable).toBe(false);
+  });
+
+  it('XORs the counter into the end of the salt', () => {
+    const salt = new Uint8Array(12).fill(0xf0);
+    const nonce = frameNonce(salt, 0x0102);
+    expect(nonce.subarray(0, 10)).toEqual(new Uint8Array(10).fill(0xf0));
+    expect(nonce.subarray(10)).toEqual(bytes(0xf1, 0xf2));
+    expect(frameNonce(salt, 0)).toEqual(salt);
+    expect(encodeBigEndian(0x0102, 4)).toEqual(bytes(0, 0, 1, 2));
+  });
+});
+
+// The inputs of the RFC 9605 Appendix C test vectors, checked against a
+// reference built with node:crypto straight from the RFC's definitions
+describe('SFrame interoperability (RFC 9605, AES_256_GCM_SHA512_128)', () => {
+  const baseKey = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+  const kid = 0x123;
+  const counter = 0x4567;
+  const metadata = Buffer.from('IETF SFrame WG');
+  const plaintext = Buffer.from('draft-ietf-sframe-enc');
+
+  // sframe_secret = HKDF-Extract("", base_key); key/salt = HKDF-Expand(secret, label, Nk/Nn)
+  const label = (kind) => Buffer.concat([
+    Buffer.from(`SFrame 1.0 Secret ${kind} `),
+    Buffer.from('0000000000000123', 'hex'),
+    Buffer.from('0005', 'hex')
+  ]);
+
+  it('encodes the vector header', () => {
+    expect(hex(encodeHeader(kid, counter))).toBe('9901234567');
+    expect(parseHeader(Buffer.from('9901234567', 'hex'))).toEqual({ kid, counter, headerLength: 5 });
+  });
+
+  it('builds the labels from the RFC key schedule', () => {
+    expect(hex(label('key'))).toBe('534672616d6520312e3020536563726574206b65792000000000000001230005');
+    expect(hex(label('salt'))).toBe('534672616d6520312e30205365637265742073616c742000000000000001230005');
+  });
+
+  it('derives the same key and salt and produces the same ciphertext', async () => {
+    const refKey = Buffer.from(hkdfSync('sha512', baseKey, Buffer.alloc(0), label('key'), 32));
+    const refSalt = Buffer.from(hkdfSync('sha512', baseKey, Buffer.alloc(0), label('salt'), 12));
+
+    const { key, salt } = await deriveKeySalt(baseKey, kid);
+    expect(hex(salt)).toBe(hex(refSalt));
+
+    const header = encodeHeader(kid, counter);
+    const aad = Buffer.concat([header, metadata]);
+    const nonce = frameNonce(salt, counter);
+    expect(hex(nonce)).toBe(hex(refSalt.map((byte, i) => (i >= 10 ? byte ^ [0x45, 0x67][i - 10] : byte))));
+
+    const cipher = createCipheriv('aes-256-gcm', refKey, nonce);
+    cipher.setAAD(aad);
+    const expected = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    const actual = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce, additionalData: aad, tagLength: 128 }, key, plaintext);
+    expect(hex(new Uint8Array(actual))).toBe(hex(expected));
+  });
+});
+
+describe('ReplayWindow', () => {
+  it('accepts each counter once, in any order', () => {
+    const replay = new ReplayWindow();
+    for (const counter of [5, 3, 9]) {
+      expect(replay.accepts(counter)).toBe(true);
+      replay.record(counter);
+      expect(replay.accepts(counter)).toBe(false);
+    }
+    expect(replay.accepts(4)).toBe(true);
+  });
+
+  it('only records authenticated frames', () => {
+    const replay = new ReplayWindow();
+    expect(replay.accepts(1)).toBe(true);
+    expect(replay.accepts(1)).toBe(true);
+  });
+
+  it('rejects counters that fell out of the window', () => {
+    const replay = new ReplayWindow();
+    replay.record(REPLAY_WINDOW + 10);
+    expect(replay.accepts(10)).toBe(false);
+    expect(replay.accepts(11)).toBe(true);
+
+    const small = new ReplayWindow(4);
+    [1, 2, 3, 4, 5].forEach(counter => small.record(counter));
+    expect(small.seen.has(1)).toBe(false);
+    expect(small.accepts(1)).toBe(false);
+  });
+});
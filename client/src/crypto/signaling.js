@@ -0,0 +1,83 @@
+import { utf8, concatBytes, toBase64, fromBase64 } from './encoding';
+
+// Seals SDP and ICE payloads before they reach the signaling server, which
+// then only relays opaque blobs. Each pair of participants seals with a key
+// derived from their CPace session key - never from the PIN or room secret,
+// which would let the server (or anyone watching the relay) open the blobs
+// or test PIN guesses against them offline.
+
+const IV_LENGTH = 12;
+// Sealed messages older than this are treated as replays from an earlier call
+const MAX_MESSAGE_AGE_MS = 5 * 60 * 1000;
+// IVs remembered per call to reject replays within it
+const MAX_SEEN_IVS = 4096;
+
+export class SignalingCipher {
+  constructor(key, channelId) {
+    this.key = key;
+    this.channelId = channelId;
+    // Random per-client tag so a reflected message of ours is recognised
+    this.senderTag = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    this.seenIvs = new Set();
+  }
+
+  // channelId is the CPace channel: the room and both participant ids
+  static async fromSessionKey(sessionKey, channelId) {
+    const baseKey = await crypto.subtle.importKey('raw', sessionKey, 'HKDF', false, ['deriveKey']);
+    const key = await crypto.subtle.deriveKey(
+      { name: 'HKDF', salt: utf8(channelId), info: utf8('SecureCall signaling'), hash: 'SHA-256' },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+    return new SignalingCipher(key, channelId);
+  }
+
+  // Binds the ciphertext to the event type, channel and recipient, so an
+  // offer can't be replayed as an answer or sent back to its sender
+  additionalData(type, recipientId) {
+    return utf8(`SecureCall signaling|${type}|${this.channelId}|${recipientId}`);
+  }
+
+  async seal(type, payload, recipientId) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const plaintext = utf8(JSON.stringify({ senderTag: this.senderTag, sentAt: Date.now(), payload }));
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: this.additionalData(type, recipientId) },
+      this.key,
+      plaintext
+    );
+    return toBase64(concatBytes(iv, new Uint8Array(encrypted)));
+  }
+
+  // Returns the payload, or null for anything forged, reflected, stale,
+  // replayed or meant for someone else
+  async open(type, sealed, recipientId) {
+    if (typeof sealed !== 'string') return null;
+
+    let message;
+    try {
+      const bytes = fromBase64(sealed);
+      const iv = bytes.subarray(0, IV_LENGTH);
+      const ivKey = toBase64(iv);
+      if (this.seenIvs.has(ivKey)) return null;
+
+      const decrypted = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv, additionalData: this.additionalData(type, recipientId) },
+        this.key,
+        bytes.subarray(IV_LENGTH)
+      );
+      message = JSON.parse(new TextDecoder().decode(decrypted));
+
+      if (this.seenIvs.size >= MAX_SEEN_IVS) this.seenIvs.clear();
+      this.seenIvs.add(ivKey);
+    } catch (e) {
+      return null;
+    }
+
+    if (message.senderTag === this.senderTag) return null;
+    if (Math.abs(Date.now() - message.sentAt) > MAX_MESSAGE_AGE_MS) return null;
+    return message.payload;
+  }
+}
@@ -9,7 +9,8 @@ export default defineConfig({
       '/socket.io': {
         target: 'http://localhost:3001',
         ws: true
-      }
+      },
+      '/turn-credentials': 'http://localhost:3001'
     }
   }
 });
@@ -0,0 +1,197 @@
+import { createRoomHasher } from './roomHash.js';
+import { toInt } from './config.js';
+
+// Rate limiting, connection caps and temporary bans for the signaling server.
+// Room names are secrets, so only their hashes are ever kept here.
+
+// Limits are read from .env, with defaults suited to 1-to-1 calls
+export function loadAbuseConfig(env = process.env) {
+  return {
+    trustProxy: env.TRUST_PROXY === 'true',
+    maxConnectionsPerIp: toInt(env.MAX_CONNECTIONS_PER_IP, 10),
+    joinLimit: toInt(env.JOIN_RATE_LIMIT, 5),
+    joinWindowMs: toInt(env.JOIN_RATE_WINDOW_MS, 60000),
+    relayLimit: toInt(env.RELAY_RATE_LIMIT, 300),
+    relayWindowMs: toInt(env.RELAY_RATE_WINDOW_MS, 10000),
+    backoffBaseMs: toInt(env.BACKOFF_BASE_MS, 2000),
+    backoffMaxMs: toInt(env.BACKOFF_MAX_MS, 300000),
+    scanRoomLimit: toInt(env.SCAN_ROOM_LIMIT, 5),
+    scanWindowMs: toInt(env.SCAN_WINDOW_MS, 600000),
+    relayStrikesBeforeBan: toInt(env.RELAY_STRIKES_BEFORE_BAN, 50),
+    banDurationMs: toInt(env.BAN_DURATION_MS, 900000)
+  };
+}
+
+// Fixed-window counter; every violation doubles the time a key stays blocked
+export class RateLimiter {
+  constructor({ limit, windowMs, backoffBaseMs = 0, backoffMaxMs = 0 }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.backoffBaseMs = backoffBaseMs;
+    this.backoffMaxMs = backoffMaxMs;
+    this.entries = new Map();
+  }
+
+  // Returns 0 when allowed, otherwise the milliseconds until the key may retry
+  consume(key, now = Date.now()) {
+    let entry = this.entries.get(key);
+    if (!entry) {
+      entry = { count: 0, windowStart: now, strikes: 0, blockedUntil: 0, lastSeen: now };
+      this.entries.set(key, entry);
+    }
+    entry.lastSeen = now;
+
+    if (now - entry.windowStart >= this.windowMs) {
+      // A quiet window after the block has passed forgives earlier strikes
+      if (now - entry.blockedUntil >= this.windowMs) entry.strikes = 0;
+      entry.count = 0;
+      entry.windowStart = now;
+    }
+
+    entry.count++;
+    if (now >= entry.blockedUntil && entry.count <= this.limit) return 0;
+
+    entry.strikes++;
+    const backoff = this.backoffBaseMs
+      ? Math.min(this.backoffBaseMs * 2 ** (entry.strikes - 1), this.backoffMaxMs)
+      : this.windowMs - (now - entry.windowStart);
+    entry.blockedUntil = Math.max(entry.blockedUntil, now + backoff);
+    return entry.blockedUntil - now;
+  }
+
+  strikes(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.strikes : 0;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Drop keys idle for longer than any block could last
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (now - entry.lastSeen > this.windowMs && now >= entry.blockedUntil) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+export class AbuseGuard {
+  // config.hashRoom is the server's room hasher (see roomHash.js)
+  constructor(config, logger = console) {
+    this.config = config;
+    this.logger = logger;
+    this.hashRoom = config.hashRoom || createRoomHasher();
+    this.connections = new Map(); // ip -> open socket count
+    this.bans = new Map(); // ip -> banned until
+    this.roomsTried = new Map(); // ip -> Map(room hash -> last attempt)
+
+    const backoff = { backoffBaseMs: config.backoffBaseMs, backoffMaxMs: config.backoffMaxMs };
+    this.joinByIp = new RateLimiter({ limit: config.joinLimit * 2, windowMs: config.joinWindowMs, ...backoff });
+    this.joinBySocket = new RateLimiter({ limit: config.joinLimit, windowMs: config.joinWindowMs, ...backoff });
+    this.knockByIp = new RateLimiter({ limit: config.joinLimit, windowMs: config.joinWindowMs, ...backoff });
+    this.relayBySocket = new RateLimiter({ limit: config.relayLimit, windowMs: config.relayWindowMs });
+
+    this.pruneTimer = setInterval(() => this.prune(), 60000);
+    this.pruneTimer.unref();
+  }
+
+  clientIp(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (this.config.trustProxy && forwarded) {
+      return forwarded.split(',')[0].trim();
+    }
+    return socket.handshake.address;
+  }
+
+  isBanned(ip, now = Date.now()) {
+    const until = this.bans.get(ip);
+    if (!until) return false;
+    if (now < until) return true;
+    this.bans.delete(ip);
+    return false;
+  }
+
+  ban(ip, reason) {
+    this.bans.set(ip, Date.now() + this.config.banDurationMs);
+    this.logger.warn('Temporarily banned IP', { ip, reason });
+  }
+
+  // Connection cap per IP; banned IPs can't connect at all
+  acceptConnection(ip) {
+    if (this.isBanned(ip)) return false;
+    const count = this.connections.get(ip) || 0;
+    if (count >= this.config.maxConnectionsPerIp) return false;
+    this.connections.set(ip, count + 1);
+    return true;
+  }
+
+  releaseConnection(ip, socketId) {
+    const count = (this.connections.get(ip) || 1) - 1;
+    if (count > 0) {
+      this.connections.set(ip, count);
+    } else {
+      this.connections.delete(ip);
+    }
+    this.joinBySocket.delete(socketId);
+    this.relayBySocket.delete(socketId);
+  }
+
+  // Join attempts are limited per socket and per IP. Trying many different
+  // rooms from one IP looks like PIN scanning and earns a ban
+  allowJoin(socket, ip, room) {
+    if (this.isBanned(ip)) return false;
+
+    const now = Date.now();
+    const tried = this.roomsTried.get(ip) || new Map();
+    tried.set(this.hashRoom(room), now);
+    for (const [hash, at] of tried) {
+      if (now - at > this.config.scanWindowMs) tried.delete(hash);
+    }
+    this.roomsTried.set(ip, tried);
+    if (tried.size > this.config.scanRoomLimit) {
+      this.ban(ip, `tried ${tried.size} rooms`);
+      return false;
+    }
+
+    const bySocket = this.joinBySocket.consume(socket.id, now);
+    const byIp = this.joinByIp.consume(ip, now);
+    return bySocket === 0 && byIp === 0;
+  }
+
+  // Knocks interrupt a host, so an IP gets half as many of them as joins
+  allowKnock(ip) {
+    if (this.isBanned(ip)) return false;
+    return this.knockByIp.consume(ip) === 0;
+  }
+
+  // Relay flooding is dropped; repeated flooding bans the IP
+  allowRelay(socket, ip) {
+    if (this.isBanned(ip)) return false;
+    if (this.relayBySocket.consume(socket.id) === 0) return true;
+
+    if (this.relayBySocket.strikes(socket.id) >= this.config.relayStrikesBeforeBan) {
+      this.ban(ip, 'signaling flood');
+    }
+    return false;
+  }
+
+  prune() {
+    const now = Date.now();
+    this.joinByIp.prune(now);
+    this.joinBySocket.prune(now);
+    this.knockByIp.prune(now);
+    this.relayBySocket.prune(now);
+    for (const [ip, until] of this.bans) {
+      if (now >= until) this.bans.delete(ip);
+    }
+    for (const [ip, tried] of this.roomsTried) {
+      for (const [hash, at] of tried) {
+        if (now - at > this.config.scanWindowMs) tried.delete(hash);
+      }
+      if (tried.size === 0) this.roomsTried.delete(ip);
+    }
+  }
+}
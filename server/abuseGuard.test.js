@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AbuseGuard, RateLimiter, loadAbuseConfig } from './abuseGuard.js';
+
+const silent = { warn() {} };
+
+function createGuard(overrides = {}) {
+  return new AbuseGuard({ ...loadAbuseConfig({}), ...overrides }, silent);
+}
+
+const socket = (id, headers = {}) => ({ id, handshake: { address: '127.0.0.1', headers } });
+
+describe('RateLimiter', () => {
+  it('allows the limit per window and tells how long to wait after it', () => {
+    const limiter = new RateLimiter({ limit: 2, windowMs: 1000 });
+    assert.equal(limiter.consume('key', 0), 0);
+    assert.equal(limiter.consume('key', 100), 0);
+    assert.equal(limiter.consume('key', 200), 800);
+    assert.equal(limiter.consume('key', 1000), 0);
+  });
+
+  it('doubles the backoff with every strike', () => {
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000, backoffBaseMs: 2000, backoffMaxMs: 5000 });
+    limiter.consume('key', 0);
+    assert.equal(limiter.consume('key', 0), 2000);
+    assert.equal(limiter.consume('key', 0), 4000);
+    assert.equal(limiter.consume('key', 0), 5000);
+    assert.equal(limiter.strikes('key'), 3);
+    // Still blocked in a fresh window
+    assert.ok(limiter.consume('key', 1500) > 0);
+  });
+
+  it('forgets idle keys', () => {
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000 });
+    limiter.consume('key', 0);
+    limiter.prune(2000);
+    assert.equal(limiter.entries.size, 0);
+  });
+});
+
+describe('AbuseGuard', () => {
+  it('caps connections per IP and frees them on disconnect', () => {
+    const guard = createGuard({ maxConnectionsPerIp: 2 });
+    assert.equal(guard.acceptConnection('1.1.1.1'), true);
+    assert.equal(guard.acceptConnection('1.1.1.1'), true);
+    assert.equal(guard.acceptConnection('1.1.1.1'), false);
+    assert.equal(guard.acceptConnection('2.2.2.2'), true);
+    guard.releaseConnection('1.1.1.1', 'a');
+    assert.equal(guard.acceptConnection('1.1.1.1'), true);
+  });
+
+  it('limits joins per socket', () => {
+    const guard = createGuard({ joinLimit: 2 });
+    assert.equal(guard.allowJoin(socket('a'), '1.1.1.1', 'room'), true);
+    assert.equal(guard.allowJoin(socket('a'), '1.1.1.1', 'room'), true);
+    assert.equal(guard.allowJoin(socket('a'), '1.1.1.1', 'room'), false);
+    assert.equal(guard.allowJoin(socket('b'), '1.1.1.1', 'room'), true);
+  });
+
+  it('bans an IP that tries too many rooms', () => {
+    const guard = createGuard({ scanRoomLimit: 3, joinLimit: 100 });
+    ['one', 'two', 'three'].forEach(room => assert.equal(guard.allowJoin(socket('a'), '1.1.1.1', room), true));
+    assert.equal(guard.allowJoin(socket('a'), '1.1.1.1', 'four'), false);
+    assert.equal(guard.isBanned('1.1.1.1'), true);
+    assert.equal(guard.acceptConnection('1.1.1.1'), false);
+    assert.equal(guard.allowJoin(socket('b'), '1.1.1.1', 'one'), false);
+  });
+
+  it('never keeps room names', () => {
+    const guard = createGuard();
+    guard.allowJoin(socket('a'), '1.1.1.1', '1234567890');
+    const [hash] = guard.roomsTried.get('1.1.1.1').keys();
+    assert.notEqual(hash, '1234567890');
+    assert.equal(hash, guard.hashRoom('1234567890'));
+  });
+
+  it('limits knocks per IP to half its joins', () => {
+    const guard = createGuard({ joinLimit: 2 });
+    assert.equal(guard.allowKnock('1.1.1.1'), true);
+    assert.equal(guard.allowKnock('1.1.1.1'), true);
+    assert.equal(guard.allowKnock('1.1.1.1'), false);
+    assert.equal(guard.allowKnock('2.2.2.2'), true);
+  });
+
+  it('drops relay floods and bans an IP that keeps flooding', () => {
+    const guard = createGuard({ relayLimit: 2, relayStrikesBeforeBan: 3 });
+    const flooder = socket('a');
+    assert.equal(guard.allowRelay(flooder, '1.1.1.1'), true);
+    assert.equal(guard.allowRelay(flooder, '1.1.1.1'), true);
+    assert.equal(guard.allowRelay(flooder, '1.1.1.1'), false);
+    assert.equal(guard.isBanned('1.1.1.1'), false);
+    guard.allowRelay(flooder, '1.1.1.1');
+    guard.allowRelay(flooder, '1.1.1.1');
+    assert.equal(guard.isBanned('1.1.1.1'), true);
+  });
+
+  it('only reads X-Forwarded-For behind a trusted proxy', () => {
+    const proxied = socket('a', { 'x-forwarded-for': '9.9.9.9, 10.0.0.1' });
+    assert.equal(createGuard().clientIp(proxied), '127.0.0.1');
+    assert.equal(createGuard({ trustProxy: true }).clientIp(proxied), '9.9.9.9');
+  });
+});
@@ -0,0 +1,127 @@
+import express from 'express';
+import { createHash, timingSafeEqual } from 'crypto';
+import { toInt } from './config.js';
+
+// Admin REST API for operators: list rooms, set their expiry and maximum
+// call duration, and force-close them. Rooms are only ever identified by
+// the same keyed hash the logs use, never by name.
+
+// Without ADMIN_TOKEN the API isn't mounted at all. The reaper runs either way;
+// a timeout of 0 turns that check off
+export function loadAdminConfig(env = process.env) {
+  return {
+    token: env.ADMIN_TOKEN || null,
+    reaperIntervalMs: toInt(env.REAPER_INTERVAL_MS, 60000),
+    roomIdleTimeoutMs: toInt(env.ROOM_IDLE_TIMEOUT_MS, 1800000),
+    negotiationTimeoutMs: toInt(env.NEGOTIATION_TIMEOUT_MS, 60000),
+    maxDurationSeconds: toInt(env.ROOM_MAX_DURATION_SECONDS, 0)
+  };
+}
+
+// Why a room should be closed now, or null. A room's own maximum duration
+// overrides the configured default
+export function reapReason(room, config, now = Date.now()) {
+  if (room.expiresAt && now >= room.expiresAt) return 'expired';
+  const maxDurationSeconds = room.maxDurationSeconds ?? config.maxDurationSeconds;
+  if (maxDurationSeconds && room.createdAt && now - room.createdAt >= maxDurationSeconds * 1000) {
+    return 'max-duration';
+  }
+  if (config.roomIdleTimeoutMs && room.lastActivity && now - room.lastActivity >= config.roomIdleTimeoutMs) {
+    return 'idle';
+  }
+  return null;
+}
+
+// Compare digests so the check takes the same time whatever the input
+const digest = (value) => createHash('sha256').update(value).digest();
+const tokenMatches = (given, expected) => timingSafeEqual(digest(given), digest(expected));
+
+const isoTime = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+// null clears a limit; otherwise a positive whole number of seconds
+const isLimit = (value) => value === undefined || value === null || (Number.isInteger(value) && value > 0);
+
+// closeRoom(hash, reason) shuts a room down and resolves to whether it existed
+export function createAdminRouter({ config, rooms, logger, closeRoom }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!match || !tokenMatches(match[1], config.token)) {
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+    next();
+  });
+  router.use(express.json({ limit: '1kb' }));
+
+  const describe = (room, now = Date.now()) => ({
+    id: logger.hashRef(room.hash),
+    occupancy: room.occupancy,
+    capacity: room.capacity,
+    createdAt: isoTime(room.createdAt),
+    ageSeconds: room.createdAt ? Math.floor((now - room.createdAt) / 1000) : null,
+    idleSeconds: room.lastActivity ? Math.floor((now - room.lastActivity) / 1000) : null,
+    expiresAt: isoTime(room.expiresAt),
+    maxDurationSeconds: room.maxDurationSeconds ?? (config.maxDurationSeconds || null)
+  });
+
+  // The store only knows rooms by hash, so look the id up among them
+  const findRoom = async (id) => (await rooms.listRooms()).find(room => logger.hashRef(room.hash) === id);
+
+  // Store errors end up here rather than as unhandled rejections
+  const handle = (handler) => (req, res) => handler(req, res).catch(error => {
+    logger.error('Admin request failed', { method: req.method, path: req.route.path, error });
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  router.get('/rooms', handle(async (req, res) => {
+    const now = Date.now();
+    const list = (await rooms.listRooms()).map(room => describe(room, now));
+    res.set('Cache-Control', 'no-store');
+    res.json({ rooms: list.sort((a, b) => b.ageSeconds - a.ageSeconds) });
+  }));
+
+  router.get('/rooms/:id', handle(async (req, res) => {
+    const room = await findRoom(req.params.id);
+    if (!room) {
+      res.status(404).json({ error: 'Room not found' });
+      return;
+    }
+    res.set('Cache-Control', 'no-store');
+    res.json(describe(room));
+  }));
+
+  // { ttlSeconds, maxDurationSeconds } - the room closes ttlSeconds from
+  // now, or maxDurationSeconds after it was created, whichever comes first
+  router.patch('/rooms/:id', handle(async (req, res) => {
+    const { ttlSeconds, maxDurationSeconds } = req.body || {};
+    if (!isLimit(ttlSeconds) || !isLimit(maxDurationSeconds)) {
+      res.status(400).json({ error: 'ttlSeconds and maxDurationSeconds must be positive integers or null' });
+      return;
+    }
+    const room = await findRoom(req.params.id);
+    const updated = room && await rooms.updateRoom(room.hash, {
+      expiresAt: ttlSeconds === undefined ? undefined : ttlSeconds && Date.now() + ttlSeconds * 1000,
+      maxDurationSeconds
+    });
+    if (!updated) {
+      res.status(404).json({ error: 'Room not found' });
+      return;
+    }
+    logger.info('Admin updated room limits', { room: req.params.id, ttlSeconds, maxDurationSeconds });
+    res.json(describe(updated));
+  }));
+
+  // Everyone in the room, and everyone still knocking, is sent a terminal roomClosed
+  router.delete('/rooms/:id', handle(async (req, res) => {
+    const room = await findRoom(req.params.id);
+    if (!room || !(await closeRoom(room.hash, 'admin'))) {
+      res.status(404).json({ error: 'Room not found' });
+      return;
+    }
+    res.status(204).end();
+  }));
+
+  return router;
+}
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadAdminConfig, reapReason } from './admin.js';
+
+const NOW = 10_000_000;
+const config = { roomIdleTimeoutMs: 60000, maxDurationSeconds: 0 };
+const room = (fields = {}) => ({
+  createdAt: NOW - 1000,
+  lastActivity: NOW - 1000,
+  expiresAt: null,
+  maxDurationSeconds: null,
+  ...fields
+});
+
+describe('reapReason', () => {
+  it('leaves a fresh room alone', () => {
+    assert.equal(reapReason(room(), config, NOW), null);
+  });
+
+  it('closes a room past its expiry', () => {
+    assert.equal(reapReason(room({ expiresAt: NOW }), config, NOW), 'expired');
+    assert.equal(reapReason(room({ expiresAt: NOW + 1 }), config, NOW), null);
+  });
+
+  it('closes a room past its maximum duration, its own over the default', () => {
+    const old = room({ createdAt: NOW - 120000 });
+    const capped = { ...config, maxDurationSeconds: 120 };
+    assert.equal(reapReason(old, config, NOW), null);
+    assert.equal(reapReason(old, capped, NOW), 'max-duration');
+    assert.equal(reapReason({ ...old, maxDurationSeconds: 300 }, capped, NOW), null);
+    assert.equal(reapReason({ ...old, maxDurationSeconds: 60 }, config, NOW), 'max-duration');
+  });
+
+  it('closes a room nobody has been seen in for the idle timeout', () => {
+    assert.equal(reapReason(room({ lastActivity: NOW - 60000 }), config, NOW), 'idle');
+    assert.equal(reapReason(room({ lastActivity: NOW - 59999 }), config, NOW), null);
+  });
+
+  it('skips limits set to 0', () => {
+    const old = room({ createdAt: 0, lastActivity: 0 });
+    assert.equal(reapReason(old, { roomIdleTimeoutMs: 0, maxDurationSeconds: 0 }, NOW), null);
+  });
+});
+
+describe('loadAdminConfig', () => {
+  it('keeps the API off without a token and falls back to defaults', () => {
+    assert.deepEqual(loadAdminConfig({ REAPER_INTERVAL_MS: 'soon', ROOM_IDLE_TIMEOUT_MS: '0' }), {
+      token: null,
+      reaperIntervalMs: 60000,
+      roomIdleTimeoutMs: 0,
+      negotiationTimeoutMs: 60000,
+      maxDurationSeconds: 0
+    });
+  });
+});
@@ -0,0 +1,8 @@
+// Helpers for the load*Config(env) functions - everything comes from .env,
+// so values are strings or undefined.
+
+// A whole number, or fallback when unset or not a number
+export const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
@@ -0,0 +1,67 @@
+import { createHmac, randomBytes } from 'crypto';
+import { createRoomHasher } from './roomHash.js';
+
+// Structured logging: one JSON object per line with a time, level and
+// message, plus whatever fields the caller adds. Room names are the secret
+// PINs of their calls, so they must never reach a log line - roomRef()
+// turns them into a short keyed hash that still lets operators follow one
+// room through the logs.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// LOG_ROOM_SECRET keys the room hashes. Without it every process picks its
+// own, so refs only line up within one instance until it restarts
+export function loadLogConfig(env = process.env) {
+  return {
+    level: LEVELS[env.LOG_LEVEL] ? env.LOG_LEVEL : 'info',
+    roomSecret: env.LOG_ROOM_SECRET || randomBytes(32).toString('hex')
+  };
+}
+
+// Errors don't serialize to JSON on their own
+const serialize = (fields) => Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+  key,
+  value instanceof Error ? { name: value.name, message: value.message, code: value.code, stack: value.stack } : value
+]));
+
+export class Logger {
+  // hashRoom is the server's room hasher, shared with the room store
+  constructor({ level = 'info', roomSecret, hashRoom = createRoomHasher() }, output = process.stdout) {
+    this.minLevel = LEVELS[level];
+    this.roomSecret = roomSecret;
+    this.hashRoom = hashRoom;
+    this.output = output;
+  }
+
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < this.minLevel) return;
+    const entry = { time: new Date().toISOString(), level, msg: message, ...serialize(fields) };
+    this.output.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  // Keyed over the room's hash, so rooms a store only knows by that hash
+  // (see hashRef) get the same ref
+  roomRef(room) {
+    return room ? this.hashRef(this.hashRoom(room)) : null;
+  }
+
+  hashRef(hash) {
+    return createHmac('sha256', this.roomSecret).update(hash).digest('hex').slice(0, 16);
+  }
+}
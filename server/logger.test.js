@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Logger, loadLogConfig } from './logger.js';
+import { createRoomHasher } from './roomHash.js';
+
+function createLogger(options = {}) {
+  const lines = [];
+  const output = { write: (line) => lines.push(JSON.parse(line)) };
+  const logger = new Logger({ roomSecret: 'log-secret', hashRoom: createRoomHasher('hash-secret'), ...options }, output);
+  return { logger, lines };
+}
+
+describe('loadLogConfig', () => {
+  it('falls back to info and a random secret', () => {
+    const config = loadLogConfig({ LOG_LEVEL: 'verbose' });
+    assert.equal(config.level, 'info');
+    assert.match(config.roomSecret, /^[0-9a-f]{64}$/);
+    assert.notEqual(loadLogConfig({}).roomSecret, config.roomSecret);
+    assert.deepEqual(loadLogConfig({ LOG_LEVEL: 'debug', LOG_ROOM_SECRET: 's' }), { level: 'debug', roomSecret: 's' });
+  });
+});
+
+describe('Logger', () => {
+  it('writes one JSON line per entry at or above its level', () => {
+    const { logger, lines } = createLogger({ level: 'warn' });
+    logger.info('skipped');
+    logger.warn('kept', { ip: '1.1.1.1' });
+    logger.error('also kept');
+    assert.deepEqual(lines.map(({ level, msg }) => [level, msg]), [['warn', 'kept'], ['error', 'also kept']]);
+    assert.equal(lines[0].ip, '1.1.1.1');
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+  });
+
+  it('serializes errors', () => {
+    const { logger, lines } = createLogger();
+    const error = Object.assign(new Error('boom'), { code: 'ECONNREFUSED' });
+    logger.error('failed', { error });
+    assert.equal(lines[0].error.message, 'boom');
+    assert.equal(lines[0].error.code, 'ECONNREFUSED');
+    assert.match(lines[0].error.stack, /boom/);
+  });
+
+  it('never logs the room name, only a keyed ref', () => {
+    const { logger, lines } = createLogger();
+    const ref = logger.roomRef('123456');
+    logger.info('joined', { room: ref });
+
+    assert.match(ref, /^[0-9a-f]{16}$/);
+    assert.ok(!JSON.stringify(lines).includes('123456'));
+    assert.equal(logger.roomRef('123456'), ref);
+    assert.notEqual(logger.roomRef('123457'), ref);
+    assert.equal(logger.roomRef(''), null);
+    // Refs depend on the secret, so a log reader can't hash PINs to find a room
+    assert.notEqual(createLogger({ roomSecret: 'other' }).logger.roomRef('123456'), ref);
+  });
+
+  it('gives a room known only by its hash the same ref', () => {
+    const hashRoom = createRoomHasher('hash-secret');
+    const { logger } = createLogger({ hashRoom });
+    assert.equal(logger.hashRef(hashRoom('123456')), logger.roomRef('123456'));
+  });
+});
@@ -0,0 +1,67 @@
+import { Counter, Gauge, Registry, collectDefaultMetrics } from 'prom-client';
+
+// Prometheus metrics served on /metrics. Labels only ever hold small fixed
+// sets of values - never room names or socket ids.
+
+// countSockets() and listRooms() are read on every scrape
+export function createMetrics({ countSockets, listRooms }) {
+  const register = new Registry();
+
+  // Process metrics, including nodejs_eventloop_lag_seconds and its percentiles
+  collectDefaultMetrics({ register });
+
+  new Gauge({
+    name: 'securecall_connected_sockets',
+    help: 'Signaling connections open on this instance',
+    registers: [register],
+    collect() {
+      this.set(countSockets());
+    }
+  });
+
+  new Gauge({
+    name: 'securecall_rooms',
+    help: 'Rooms by number of participants (across all instances when rooms are shared)',
+    labelNames: ['occupancy'],
+    registers: [register],
+    async collect() {
+      this.reset();
+      let rooms;
+      try {
+        rooms = await listRooms();
+      } catch (error) {
+        // An unreachable room store shouldn't take the other metrics down with it
+        return;
+      }
+      const counts = new Map();
+      rooms.forEach(({ occupancy }) => counts.set(occupancy, (counts.get(occupancy) || 0) + 1));
+      counts.forEach((count, occupancy) => this.set({ occupancy: String(occupancy) }, count));
+    }
+  });
+
+  return {
+    register,
+    joins: new Counter({
+      name: 'securecall_room_joins_total',
+      help: 'Participants who joined a room, as its host or admitted from the lobby',
+      labelNames: ['role'],
+      registers: [register]
+    }),
+    roomFull: new Counter({
+      name: 'securecall_room_full_total',
+      help: 'Joins and admissions turned away because the room was full',
+      registers: [register]
+    }),
+    leaves: new Counter({
+      name: 'securecall_room_leaves_total',
+      help: 'Participants who left a room, including disconnects, removals by the host and closed rooms',
+      registers: [register]
+    }),
+    relayed: new Counter({
+      name: 'securecall_signaling_messages_relayed_total',
+      help: 'Signaling messages relayed between peers',
+      labelNames: ['type'],
+      registers: [register]
+    })
+  };
+}
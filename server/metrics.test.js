@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetrics } from './metrics.js';
+
+const sample = async (metrics, name) => {
+  const metric = (await metrics.register.getMetricsAsJSON()).find(entry => entry.name === name);
+  return metric.values.map(({ labels, value }) => ({ labels, value }));
+};
+
+describe('createMetrics', () => {
+  it('reads sockets and room occupancy on every scrape', async () => {
+    let sockets = 3;
+    const rooms = [{ occupancy: 2 }, { occupancy: 2 }, { occupancy: 1 }];
+    const metrics = createMetrics({ countSockets: () => sockets, listRooms: async () => rooms });
+
+    assert.deepEqual(await sample(metrics, 'securecall_connected_sockets'), [{ labels: {}, value: 3 }]);
+    assert.deepEqual(await sample(metrics, 'securecall_rooms'), [
+      { labels: { occupancy: '2' }, value: 2 },
+      { labels: { occupancy: '1' }, value: 1 }
+    ]);
+
+    sockets = 0;
+    rooms.length = 0;
+    assert.deepEqual(await sample(metrics, 'securecall_connected_sockets'), [{ labels: {}, value: 0 }]);
+    assert.deepEqual(await sample(metrics, 'securecall_rooms'), []);
+  });
+
+  it('keeps scraping when the room store is down', async () => {
+    const metrics = createMetrics({ countSockets: () => 1, listRooms: async () => { throw new Error('down'); } });
+    const text = await metrics.register.metrics();
+    assert.match(text, /securecall_connected_sockets 1/);
+    assert.match(text, /nodejs_eventloop_lag_seconds/);
+  });
+
+  it('counts joins by role and relayed messages by type', async () => {
+    const metrics = createMetrics({ countSockets: () => 0, listRooms: async () => [] });
+    metrics.joins.inc({ role: 'host' });
+    metrics.joins.inc({ role: 'guest' });
+    metrics.joins.inc({ role: 'guest' });
+    metrics.relayed.inc({ type: 'offer' });
+    metrics.leaves.inc(2);
+
+    assert.deepEqual(await sample(metrics, 'securecall_room_joins_total'), [
+      { labels: { role: 'host' }, value: 1 },
+      { labels: { role: 'guest' }, value: 2 }
+    ]);
+    assert.deepEqual(await sample(metrics, 'securecall_signaling_messages_relayed_total'), [
+      { labels: { type: 'offer' }, value: 1 }
+    ]);
+    assert.deepEqual(await sample(metrics, 'securecall_room_leaves_total'), [{ labels: {}, value: 2 }]);
+  });
+});
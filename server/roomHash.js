@@ -0,0 +1,13 @@
+import { createHmac, randomBytes } from 'crypto';
+
+// Room names are the secrets of their calls, so the server only ever keeps,
+// indexes or logs them as this hash. The room store, the logs and the abuse
+// guard share one hasher, so a room has the same hash everywhere.
+//
+// The hash is keyed: PINs are short, and an unkeyed hash in a Redis dump or
+// a log line could be brute-forced back to the PIN. Without a secret every
+// process picks its own, which only suits a single in-memory instance.
+export function createRoomHasher(secret = null) {
+  const key = secret || randomBytes(32);
+  return (room) => createHmac('sha256', key).update(String(room)).digest('hex');
+}
@@ -0,0 +1,525 @@
+import { Redis } from 'ioredis';
+import { createAdapter } from '@socket.io/redis-adapter';
+import { createRoomHasher } from './roomHash.js';
+import { toInt } from './config.js';
+
+// Room membership, capacity and the host's lobby for the signaling server.
+// Every method is async so the in-memory store (one instance) and the Redis
+// store (several instances behind a load balancer) are interchangeable.
+//
+// The first participant of a room is its host. Everyone after them knocks,
+// waits in the lobby and only becomes a member once the host admits them.
+//
+//   join(room, socketId, capacity)  -> { peers, occupancy, capacity, host } when the
+//                                      room was created, { waiting: true } if it
+//                                      exists, null if it's full
+//   knock(room, socketId, name)     -> host id, or null if the room or lobby is gone or full
+//   withdraw(room, socketId)        -> host id if the socket was waiting, otherwise null
+//   admit(room, hostId, socketId)   -> { peers, occupancy, capacity } or { error }
+//   deny(room, hostId, socketId)    -> {} or { error }
+//   leave(room, socketId, hostId)   -> { occupancy, host, hostChanged, lobby } or null if
+//                                      not a member; hostId makes it a removal by the host
+//   host(room), lobby(room)         -> host id, [{ userId, name }] waiting to be let in
+//   describe(room)                  -> { members, capacity, host }, or null if there's no such room
+//   isMember(room, socketId)        -> boolean
+//   members(room)                   -> socket ids, longest present first
+//   roomCount()                     -> number of rooms with anyone in them
+//   listRooms()                     -> [{ hash, occupancy, capacity, createdAt, lastActivity,
+//                                      expiresAt, maxDurationSeconds }], rooms identified
+//                                      only by the keyed hash of their name (see roomHash.js)
+//   touch(room)                     -> record activity, for idle reaping
+//   updateRoom(hash, changes)       -> set expiresAt (ms) and/or maxDurationSeconds, null
+//                                      clears either; the updated room or null if unknown
+//   closeRoom(hash)                 -> { members, lobby } of the deleted room, or null
+//   createAdapter()                 -> Socket.IO adapter to use, undefined for the default
+//   close()
+//
+// Errors are SignalingError codes: NOT_HOST, NOT_WAITING or ROOM_FULL.
+// When the host leaves, the member who has been there longest takes over.
+// When the last member leaves, lobby lists who was still waiting.
+
+// ROOM_STORE=redis shares rooms through REDIS_URL, anything else keeps them
+// in memory. ROOM_HASH_SECRET keys the room hashes (see roomHash.js)
+export function loadRoomStoreConfig(env = process.env) {
+  return {
+    type: env.ROOM_STORE === 'redis' ? 'redis' : 'memory',
+    hashSecret: env.ROOM_HASH_SECRET || null,
+    redisUrl: env.REDIS_URL || 'redis://localhost:6379',
+    keyPrefix: env.REDIS_KEY_PREFIX || 'securecall:',
+    roomTtlSeconds: toInt(env.ROOM_TTL_SECONDS, 86400),
+    maxLobbySize: toInt(env.MAX_LOBBY_SIZE, 10)
+  };
+}
+
+// config.hashRoom is the server's room hasher, made from config.hashSecret
+export function createRoomStore(config) {
+  if (config.type === 'redis') {
+    // Every instance has to find the same keys, now and after a restart
+    if (!config.hashSecret) {
+      throw new Error('ROOM_STORE=redis needs ROOM_HASH_SECRET, set to the same value on every instance');
+    }
+    return new RedisRoomStore(new Redis(config.redisUrl), config);
+  }
+  return new MemoryRoomStore(config);
+}
+
+// Single-process store - state is lost on restart
+export class MemoryRoomStore {
+  constructor({ maxLobbySize = 10, hashRoom = createRoomHasher() } = {}) {
+    // room -> { hash, users: Set in join order, capacity, host, lobby: Map id -> name,
+    //          createdAt, lastActivity, expiresAt, maxDurationSeconds }
+    this.rooms = new Map();
+    this.maxLobbySize = maxLobbySize;
+    this.hashRoom = hashRoom;
+    this.shared = false;
+  }
+
+  async join(room, socketId, capacity) {
+    const roomData = this.rooms.get(room);
+    if (roomData) {
+      return roomData.users.size >= roomData.capacity ? null : { waiting: true };
+    }
+    const now = Date.now();
+    this.rooms.set(room, {
+      hash: this.hashRoom(room),
+      users: new Set([socketId]),
+      capacity,
+      host: socketId,
+      lobby: new Map(),
+      createdAt: now,
+      lastActivity: now,
+      expiresAt: null,
+      maxDurationSeconds: null
+    });
+    return { peers: [], occupancy: 1, capacity, host: socketId };
+  }
+
+  async knock(room, socketId, name) {
+    const roomData = this.rooms.get(room);
+    if (!roomData || roomData.lobby.size >= this.maxLobbySize) return null;
+    roomData.lobby.set(socketId, name);
+    return roomData.host;
+  }
+
+  async withdraw(room, socketId) {
+    const roomData = this.rooms.get(room);
+    return roomData && roomData.lobby.delete(socketId) ? roomData.host : null;
+  }
+
+  async admit(room, hostId, socketId) {
+    const roomData = this.rooms.get(room);
+    if (!roomData || roomData.host !== hostId) return { error: 'NOT_HOST' };
+    if (!roomData.lobby.delete(socketId)) return { error: 'NOT_WAITING' };
+    if (roomData.users.size >= roomData.capacity) return { error: 'ROOM_FULL' };
+
+    const peers = [...roomData.users];
+    roomData.users.add(socketId);
+    roomData.lastActivity = Date.now();
+    return { peers, occupancy: roomData.users.size, capacity: roomData.capacity };
+  }
+
+  async deny(room, hostId, socketId) {
+    const roomData = this.rooms.get(room);
+    if (!roomData || roomData.host !== hostId) return { error: 'NOT_HOST' };
+    return roomData.lobby.delete(socketId) ? {} : { error: 'NOT_WAITING' };
+  }
+
+  async leave(room, socketId, hostId = null) {
+    const roomData = this.rooms.get(room);
+    if (!roomData) return null;
+    if (hostId && roomData.host !== hostId) return { error: 'NOT_HOST' };
+    if (!roomData.users.delete(socketId)) return null;
+
+    if (roomData.users.size === 0) {
+      this.rooms.delete(room);
+      return { occupancy: 0, host: null, hostChanged: false, lobby: [...roomData.lobby.keys()] };
+    }
+    const hostChanged = roomData.host === socketId;
+    if (hostChanged) [roomData.host] = roomData.users;
+    return { occupancy: roomData.users.size, host: roomData.host, hostChanged, lobby: [] };
+  }
+
+  async host(room) {
+    const roomData = this.rooms.get(room);
+    return roomData ? roomData.host : null;
+  }
+
+  async lobby(room) {
+    const roomData = this.rooms.get(room);
+    return roomData ? [...roomData.lobby].map(([userId, name]) => ({ userId, name })) : [];
+  }
+
+  async describe(room) {
+    const roomData = this.rooms.get(room);
+    return roomData ? { members: [...roomData.users], capacity: roomData.capacity, host: roomData.host } : null;
+  }
+
+  async isMember(room, socketId) {
+    const roomData = this.rooms.get(room);
+    return Boolean(roomData && roomData.users.has(socketId));
+  }
+
+  async members(room) {
+    const roomData = this.rooms.get(room);
+    return roomData ? [...roomData.users] : [];
+  }
+
+  async roomCount() {
+    return this.rooms.size;
+  }
+
+  async listRooms() {
+    return [...this.rooms.values()].map(roomData => this.summary(roomData));
+  }
+
+  summary({ hash, users, capacity, createdAt, lastActivity, expiresAt, maxDurationSeconds }) {
+    return { hash, occupancy: users.size, capacity, createdAt, lastActivity, expiresAt, maxDurationSeconds };
+  }
+
+  async touch(room) {
+    const roomData = this.rooms.get(room);
+    if (roomData) roomData.lastActivity = Date.now();
+  }
+
+  findByHash(hash) {
+    return [...this.rooms].find(([, roomData]) => roomData.hash === hash) || [];
+  }
+
+  async updateRoom(hash, { expiresAt, maxDurationSeconds }) {
+    const [, roomData] = this.findByHash(hash);
+    if (!roomData) return null;
+    if (expiresAt !== undefined) roomData.expiresAt = expiresAt;
+    if (maxDurationSeconds !== undefined) roomData.maxDurationSeconds = maxDurationSeconds;
+    return this.summary(roomData);
+  }
+
+  async closeRoom(hash) {
+    const [room, roomData] = this.findByHash(hash);
+    if (!roomData) return null;
+    this.rooms.delete(room);
+    return { members: [...roomData.users], lobby: [...roomData.lobby.keys()] };
+  }
+
+  createAdapter() {
+    return undefined;
+  }
+
+  async close() {}
+}
+
+// The Redis scripts each run atomically, so two instances can't both let in
+// the last participant or both act as host.
+// Keys are always: members (sorted set, scored by join time), capacity,
+// host, lobby (hash of id -> name), room index, meta (hash of createdAt,
+// lastActivity, expiresAt, maxDurationSeconds)
+
+// ARGV: socket id, capacity if the room is new, ttl seconds, room hash, expiry ms, now ms
+const JOIN_SCRIPT = `
+local occupancy = redis.call('ZCARD', KEYS[1])
+if occupancy == 0 then
+  redis.call('DEL', KEYS[4], KEYS[6])
+  redis.call('ZADD', KEYS[1], ARGV[6], ARGV[1])
+  redis.call('EXPIRE', KEYS[1], ARGV[3])
+  redis.call('SET', KEYS[2], ARGV[2], 'EX', ARGV[3])
+  redis.call('SET', KEYS[3], ARGV[1], 'EX', ARGV[3])
+  redis.call('HSET', KEYS[6], 'createdAt', ARGV[6], 'lastActivity', ARGV[6])
+  redis.call('EXPIRE', KEYS[6], ARGV[3])
+  redis.call('ZADD', KEYS[5], ARGV[5], ARGV[4])
+  return 1
+end
+local capacity = tonumber(redis.call('GET', KEYS[2]) or ARGV[2])
+if occupancy >= capacity then
+  return 0
+end
+return 2
+`;
+
+// ARGV: socket id, display name, max lobby size, ttl seconds
+const KNOCK_SCRIPT = `
+if redis.call('ZCARD', KEYS[1]) == 0 or redis.call('HLEN', KEYS[4]) >= tonumber(ARGV[3]) then
+  return false
+end
+redis.call('HSET', KEYS[4], ARGV[1], ARGV[2])
+redis.call('EXPIRE', KEYS[4], ARGV[4])
+return redis.call('GET', KEYS[3])
+`;
+
+// ARGV: host id, socket id, ttl seconds, room hash, expiry ms, now ms
+const ADMIT_SCRIPT = `
+if redis.call('GET', KEYS[3]) ~= ARGV[1] then
+  return 'NOT_HOST'
+end
+if redis.call('HDEL', KEYS[4], ARGV[2]) == 0 then
+  return 'NOT_WAITING'
+end
+local capacity = tonumber(redis.call('GET', KEYS[2]))
+local peers = redis.call('ZRANGE', KEYS[1], 0, -1)
+if #peers >= capacity then
+  return 'ROOM_FULL'
+end
+redis.call('ZADD', KEYS[1], ARGV[6], ARGV[2])
+redis.call('HSET', KEYS[6], 'lastActivity', ARGV[6])
+for _, i in ipairs({1, 2, 3, 6}) do
+  redis.call('EXPIRE', KEYS[i], ARGV[3])
+end
+redis.call('ZADD', KEYS[5], ARGV[5], ARGV[4])
+return {capacity, peers}
+`;
+
+// ARGV: host id, socket id
+const DENY_SCRIPT = `
+if redis.call('GET', KEYS[3]) ~= ARGV[1] then
+  return 'NOT_HOST'
+end
+if redis.call('HDEL', KEYS[4], ARGV[2]) == 0 then
+  return 'NOT_WAITING'
+end
+return 'OK'
+`;
+
+// ARGV: socket id, room hash, host id for a removal or '', ttl seconds
+const LEAVE_SCRIPT = `
+local host = redis.call('GET', KEYS[3])
+if ARGV[3] ~= '' and host ~= ARGV[3] then
+  return 'NOT_HOST'
+end
+if redis.call('ZREM', KEYS[1], ARGV[1]) == 0 then
+  return false
+end
+local occupancy = redis.call('ZCARD', KEYS[1])
+if occupancy == 0 then
+  local lobby = redis.call('HKEYS', KEYS[4])
+  redis.call('DEL', KEYS[1], KEYS[2], KEYS[3], KEYS[4], KEYS[6])
+  redis.call('ZREM', KEYS[5], ARGV[2])
+  return {0, '', 0, lobby}
+end
+local changed = 0
+if host == ARGV[1] or not host then
+  host = redis.call('ZRANGE', KEYS[1], 0, 0)[1]
+  redis.call('SET', KEYS[3], host, 'EX', ARGV[4])
+  changed = 1
+end
+return {occupancy, host, changed, {}}
+`;
+
+// ARGV: room hash
+const CLOSE_SCRIPT = `
+local members = redis.call('ZRANGE', KEYS[1], 0, -1)
+if #members == 0 then
+  return false
+end
+local lobby = redis.call('HKEYS', KEYS[4])
+redis.call('DEL', KEYS[1], KEYS[2], KEYS[3], KEYS[4], KEYS[6])
+redis.call('ZREM', KEYS[5], ARGV[1])
+return {members, lobby}
+`;
+
+// Only rooms that still exist. ARGV: expiresAt, maxDurationSeconds -
+// '' leaves a field alone, 'none' clears it
+const UPDATE_SCRIPT = `
+if redis.call('EXISTS', KEYS[6]) == 0 then
+  return 0
+end
+local fields = {'expiresAt', 'maxDurationSeconds'}
+for i, field in ipairs(fields) do
+  if ARGV[i] == 'none' then
+    redis.call('HDEL', KEYS[6], field)
+  elseif ARGV[i] ~= '' then
+    redis.call('HSET', KEYS[6], field, ARGV[i])
+  end
+end
+return 1
+`;
+
+const SCRIPTS = {
+  joinRoom: JOIN_SCRIPT,
+  knockRoom: KNOCK_SCRIPT,
+  admitToRoom: ADMIT_SCRIPT,
+  denyFromRoom: DENY_SCRIPT,
+  leaveRoom: LEAVE_SCRIPT,
+  closeRoom: CLOSE_SCRIPT,
+  updateRoom: UPDATE_SCRIPT
+};
+
+// undefined -> '' (unchanged), null -> 'none' (cleared)
+const scriptArg = (value) => (value === undefined ? '' : value === null ? 'none' : String(value));
+
+const optionalNumber = (value) => (value === undefined || value === null ? null : Number(value));
+
+// Shared store for running several signaling instances. Room names are
+// secrets, so keys only ever contain their keyed hash - hashRoom must be
+// made from the same secret on every instance. Rooms expire roomTtlSeconds
+// after the last join, which bounds what a crashed instance leaves behind.
+// Takes any ioredis-compatible client, so tests can pass a local Redis or
+// an in-process stand-in
+export class RedisRoomStore {
+  constructor(client, { keyPrefix = 'securecall:', roomTtlSeconds = 86400, maxLobbySize = 10, hashRoom } = {}) {
+    if (!hashRoom) throw new Error('RedisRoomStore needs a shared hashRoom');
+    this.client = client;
+    this.hashRoom = hashRoom;
+    this.keyPrefix = keyPrefix;
+    this.roomTtlSeconds = roomTtlSeconds;
+    this.maxLobbySize = maxLobbySize;
+    this.shared = true;
+    this.adapterClients = [];
+    Object.entries(SCRIPTS).forEach(([name, lua]) => client.defineCommand(name, { numberOfKeys: 6, lua }));
+  }
+
+  roomKeys(room) {
+    return this.hashKeys(this.hashRoom(room));
+  }
+
+  hashKeys(hash) {
+    const base = `${this.keyPrefix}room:${hash}`;
+    return {
+      hash,
+      keys: [
+        `${base}:users`, `${base}:capacity`, `${base}:host`, `${base}:lobby`, `${this.keyPrefix}rooms`, `${base}:meta`
+      ]
+    };
+  }
+
+  expiry() {
+    return Date.now() + this.roomTtlSeconds * 1000;
+  }
+
+  async join(room, socketId, capacity) {
+    const { hash, keys } = this.roomKeys(room);
+    const result = await this.client.joinRoom(
+      ...keys, socketId, capacity, this.roomTtlSeconds, hash, this.expiry(), Date.now()
+    );
+    if (result === 0) return null;
+    if (result === 2) return { waiting: true };
+    return { peers: [], occupancy: 1, capacity, host: socketId };
+  }
+
+  async knock(room, socketId, name) {
+    const { keys } = this.roomKeys(room);
+    return (await this.client.knockRoom(...keys, socketId, name, this.maxLobbySize, this.roomTtlSeconds)) || null;
+  }
+
+  async withdraw(room, socketId) {
+    const { keys: [, , hostKey, lobbyKey] } = this.roomKeys(room);
+    const [[, removed], [, host]] = await this.client.multi().hdel(lobbyKey, socketId).get(hostKey).exec();
+    return removed ? host : null;
+  }
+
+  async admit(room, hostId, socketId) {
+    const { hash, keys } = this.roomKeys(room);
+    const result = await this.client.admitToRoom(
+      ...keys, hostId, socketId, this.roomTtlSeconds, hash, this.expiry(), Date.now()
+    );
+    if (typeof result === 'string') return { error: result };
+    const [capacity, peers] = result;
+    return { peers, occupancy: peers.length + 1, capacity };
+  }
+
+  async deny(room, hostId, socketId) {
+    const { keys } = this.roomKeys(room);
+    const result = await this.client.denyFromRoom(...keys, hostId, socketId);
+    return result === 'OK' ? {} : { error: result };
+  }
+
+  async leave(room, socketId, hostId = null) {
+    const { hash, keys } = this.roomKeys(room);
+    const result = await this.client.leaveRoom(...keys, socketId, hash, hostId || '', this.roomTtlSeconds);
+    if (!result) return null;
+    if (typeof result === 'string') return { error: result };
+    const [occupancy, host, hostChanged, lobby] = result;
+    return { occupancy, host: host || null, hostChanged: hostChanged === 1, lobby };
+  }
+
+  async host(room) {
+    return this.client.get(this.roomKeys(room).keys[2]);
+  }
+
+  async lobby(room) {
+    const waiting = await this.client.hgetall(this.roomKeys(room).keys[3]);
+    return Object.entries(waiting).map(([userId, name]) => ({ userId, name }));
+  }
+
+  async describe(room) {
+    const { keys: [usersKey, capacityKey, hostKey] } = this.roomKeys(room);
+    const [[, members], [, capacity], [, host]] = await this.client.multi()
+      .zrange(usersKey, 0, -1)
+      .get(capacityKey)
+      .get(hostKey)
+      .exec();
+    return members.length > 0 ? { members, capacity: Number(capacity), host } : null;
+  }
+
+  async isMember(room, socketId) {
+    return (await this.client.zscore(this.roomKeys(room).keys[0], socketId)) !== null;
+  }
+
+  async members(room) {
+    return this.client.zrange(this.roomKeys(room).keys[0], 0, -1);
+  }
+
+  // Expired rooms are dropped from the index before counting
+  async roomCount() {
+    const index = `${this.keyPrefix}rooms`;
+    await this.client.zremrangebyscore(index, '-inf', Date.now());
+    return this.client.zcard(index);
+  }
+
+  async listRooms() {
+    const index = `${this.keyPrefix}rooms`;
+    await this.client.zremrangebyscore(index, '-inf', Date.now());
+    const hashes = await this.client.zrange(index, 0, -1);
+    const rooms = await Promise.all(hashes.map(hash => this.summary(hash)));
+    return rooms.filter(Boolean);
+  }
+
+  async summary(hash) {
+    const { keys: [usersKey, capacityKey, , , , metaKey] } = this.hashKeys(hash);
+    const [[, occupancy], [, capacity], [, meta]] = await this.client.multi()
+      .zcard(usersKey)
+      .get(capacityKey)
+      .hgetall(metaKey)
+      .exec();
+    if (occupancy === 0) return null;
+    return {
+      hash,
+      occupancy,
+      capacity: Number(capacity),
+      createdAt: optionalNumber(meta.createdAt),
+      lastActivity: optionalNumber(meta.lastActivity),
+      expiresAt: optionalNumber(meta.expiresAt),
+      maxDurationSeconds: optionalNumber(meta.maxDurationSeconds)
+    };
+  }
+
+  async touch(room) {
+    const { keys: [, , , , , metaKey] } = this.roomKeys(room);
+    // A room that was just deleted is left with a meta key that expires on its own
+    await this.client.multi().hset(metaKey, 'lastActivity', Date.now()).expire(metaKey, this.roomTtlSeconds).exec();
+  }
+
+  async updateRoom(hash, { expiresAt, maxDurationSeconds }) {
+    const { keys } = this.hashKeys(hash);
+    const updated = await this.client.updateRoom(...keys, scriptArg(expiresAt), scriptArg(maxDurationSeconds));
+    return updated ? this.summary(hash) : null;
+  }
+
+  async closeRoom(hash) {
+    const { keys } = this.hashKeys(hash);
+    const result = await this.client.closeRoom(...keys, hash);
+    if (!result) return null;
+    const [members, lobby] = result;
+    return { members, lobby };
+  }
+
+  // Relays and room broadcasts reach sockets on every instance. The adapter
+  // needs its own pub/sub connections
+  createAdapter() {
+    const pubClient = this.client.duplicate();
+    const subClient = this.client.duplicate();
+    this.adapterClients = [pubClient, subClient];
+    return createAdapter(pubClient, subClient);
+  }
+
+  async close() {
+    await Promise.all([this.client, ...this.adapterClients].map(client => client.quit()));
+  }
+}
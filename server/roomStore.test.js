@@ -0,0 +1,174 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import RedisMock from 'ioredis-mock';
+import { MemoryRoomStore, RedisRoomStore, createRoomStore } from './roomStore.js';
+import { createRoomHasher } from './roomHash.js';
+
+const hashRoom = createRoomHasher('test secret');
+
+// Both stores have to behave the same, so every scenario runs against each.
+// ioredis-mock runs the Lua scripts in process; one client serves every
+// store, each under its own key prefix
+const client = new RedisMock();
+let prefixes = 0;
+const stores = {
+  memory: () => new MemoryRoomStore({ maxLobbySize: 2, hashRoom }),
+  redis: () => new RedisRoomStore(client, { maxLobbySize: 2, hashRoom, keyPrefix: `test${prefixes++}:` })
+};
+
+for (const [type, createStore] of Object.entries(stores)) {
+  describe(`${type} room store`, () => {
+    let store;
+    beforeEach(() => {
+      store = createStore();
+    });
+
+    // host h, admitted a, capacity 3
+    async function roomWithGuest() {
+      await store.join('room', 'h', 3);
+      await store.join('room', 'a', 3);
+      await store.knock('room', 'a', 'Alice');
+      await store.admit('room', 'h', 'a');
+    }
+
+    it('makes the first joiner host and sends later joiners to the lobby', async () => {
+      assert.deepEqual(await store.join('room', 'h', 2), { peers: [], occupancy: 1, capacity: 2, host: 'h' });
+      assert.deepEqual(await store.join('room', 'a', 2), { waiting: true });
+      assert.equal(await store.isMember('room', 'a'), false);
+      assert.deepEqual(await store.describe('room'), { members: ['h'], capacity: 2, host: 'h' });
+    });
+
+    it('lists knocks for the host and lets them withdraw', async () => {
+      await store.join('room', 'h', 2);
+      assert.equal(await store.knock('room', 'a', 'Alice'), 'h');
+      assert.deepEqual(await store.lobby('room'), [{ userId: 'a', name: 'Alice' }]);
+      assert.equal(await store.withdraw('room', 'a'), 'h');
+      assert.equal(await store.withdraw('room', 'a'), null);
+      assert.deepEqual(await store.lobby('room'), []);
+    });
+
+    it('turns knocks away when there is no room or the lobby is full', async () => {
+      assert.equal(await store.knock('missing', 'a', 'Alice'), null);
+      await store.join('room', 'h', 2);
+      await store.knock('room', 'a', 'Alice');
+      await store.knock('room', 'b', 'Bob');
+      assert.equal(await store.knock('room', 'c', 'Carol'), null);
+    });
+
+    it('only lets the host admit or deny someone who is waiting', async () => {
+      await store.join('room', 'h', 3);
+      await store.knock('room', 'a', 'Alice');
+      await store.knock('room', 'b', 'Bob');
+      assert.deepEqual(await store.admit('room', 'a', 'b'), { error: 'NOT_HOST' });
+      assert.deepEqual(await store.deny('room', 'a', 'b'), { error: 'NOT_HOST' });
+      assert.deepEqual(await store.admit('room', 'h', 'c'), { error: 'NOT_WAITING' });
+
+      assert.deepEqual(await store.admit('room', 'h', 'a'), { peers: ['h'], occupancy: 2, capacity: 3 });
+      assert.deepEqual(await store.deny('room', 'h', 'b'), {});
+      assert.deepEqual(await store.deny('room', 'h', 'b'), { error: 'NOT_WAITING' });
+      assert.deepEqual(await store.members('room'), ['h', 'a']);
+      assert.deepEqual(await store.lobby('room'), []);
+    });
+
+    it('reports a full room to joiners and to the host admitting one more', async () => {
+      await store.join('room', 'h', 2);
+      await store.knock('room', 'a', 'Alice');
+      await store.knock('room', 'b', 'Bob');
+      await store.admit('room', 'h', 'a');
+      assert.equal(await store.join('room', 'c', 2), null);
+      assert.deepEqual(await store.admit('room', 'h', 'b'), { error: 'ROOM_FULL' });
+    });
+
+    it('hands the room to the longest present member when the host leaves', async () => {
+      await roomWithGuest();
+      await store.knock('room', 'b', 'Bob');
+      await store.admit('room', 'h', 'b');
+      assert.deepEqual(await store.leave('room', 'h'), { occupancy: 2, host: 'a', hostChanged: true, lobby: [] });
+      assert.equal(await store.host('room'), 'a');
+      assert.deepEqual(await store.leave('room', 'b'), { occupancy: 1, host: 'a', hostChanged: false, lobby: [] });
+      assert.equal(await store.leave('room', 'b'), null);
+    });
+
+    it('deletes the room with the last member and reports who was still waiting', async () => {
+      await store.join('room', 'h', 2);
+      await store.knock('room', 'a', 'Alice');
+      assert.deepEqual(await store.leave('room', 'h'), { occupancy: 0, host: null, hostChanged: false, lobby: ['a'] });
+      assert.equal(await store.describe('room'), null);
+      assert.equal(await store.roomCount(), 0);
+      assert.deepEqual(await store.join('room', 'b', 2), { peers: [], occupancy: 1, capacity: 2, host: 'b' });
+    });
+
+    it('only lets the host remove members', async () => {
+      await roomWithGuest();
+      assert.deepEqual(await store.leave('room', 'h', 'a'), { error: 'NOT_HOST' });
+      assert.deepEqual(await store.leave('room', 'a', 'h'), { occupancy: 1, host: 'h', hostChanged: false, lobby: [] });
+    });
+
+    it('lists rooms only by their keyed hash', async () => {
+      await roomWithGuest();
+      await store.join('other', 'x', 2);
+      const rooms = await store.listRooms();
+      assert.deepEqual(rooms.map(({ hash }) => hash).sort(), [hashRoom('room'), hashRoom('other')].sort());
+
+      const room = rooms.find(({ hash }) => hash === hashRoom('room'));
+      assert.equal(room.occupancy, 2);
+      assert.equal(room.capacity, 3);
+      assert.equal(typeof room.createdAt, 'number');
+      assert.ok(room.lastActivity >= room.createdAt);
+      assert.equal(room.expiresAt, null);
+      assert.equal(room.maxDurationSeconds, null);
+      assert.equal(await store.roomCount(), 2);
+    });
+
+    it('records activity on touch', async () => {
+      await store.join('room', 'h', 2);
+      const [before] = await store.listRooms();
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await store.touch('room');
+      const [after] = await store.listRooms();
+      assert.ok(after.lastActivity > before.lastActivity);
+    });
+
+    it('sets and clears limits on a room by hash', async () => {
+      await store.join('room', 'h', 2);
+      const hash = hashRoom('room');
+      let room = await store.updateRoom(hash, { expiresAt: 12345, maxDurationSeconds: 60 });
+      assert.equal(room.expiresAt, 12345);
+      assert.equal(room.maxDurationSeconds, 60);
+
+      room = await store.updateRoom(hash, { maxDurationSeconds: null });
+      assert.equal(room.expiresAt, 12345);
+      assert.equal(room.maxDurationSeconds, null);
+      assert.equal(await store.updateRoom(hashRoom('missing'), { expiresAt: 1 }), null);
+    });
+
+    it('closes a room by hash and returns everyone in it', async () => {
+      await roomWithGuest();
+      await store.knock('room', 'b', 'Bob');
+      const hash = hashRoom('room');
+      assert.deepEqual(await store.closeRoom(hash), { members: ['h', 'a'], lobby: ['b'] });
+      assert.equal(await store.closeRoom(hash), null);
+      assert.equal(await store.isMember('room', 'h'), false);
+      assert.deepEqual(await store.listRooms(), []);
+    });
+  });
+}
+
+describe('redis room store keys', () => {
+  it('never contain the room name or its plain SHA-256', async () => {
+    const store = new RedisRoomStore(client, { hashRoom, keyPrefix: 'keys:' });
+    await store.join('1234567890', 'h', 2);
+
+    const keys = await client.keys('keys:*');
+    const sha256 = createHash('sha256').update('1234567890').digest('hex');
+    assert.ok(keys.length > 0);
+    assert.ok(keys.every(key => !key.includes('1234567890') && !key.includes(sha256)));
+    assert.ok(keys.some(key => key.includes(hashRoom('1234567890'))));
+  });
+
+  it('are required to come from a shared secret', () => {
+    assert.throws(() => new RedisRoomStore(new RedisMock(), {}), /hashRoom/);
+    assert.throws(() => createRoomStore({ type: 'redis', hashSecret: null }), /ROOM_HASH_SECRET/);
+  });
+});
@@ -3,130 +3,644 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import { AbuseGuard, loadAbuseConfig } from './abuseGuard.js';
+import { SignalingError, validatePayload } from './validation.js';
+import { createAccessToken, createIceServers, loadTurnConfig } from './turn.js';
+import { createRoomStore, loadRoomStoreConfig } from './roomStore.js';
+import { createRoomHasher } from './roomHash.js';
+import { Logger, loadLogConfig } from './logger.js';
+import { createMetrics } from './metrics.js';
+import { createAdminRouter, loadAdminConfig, reapReason } from './admin.js';
+import { WebhookDispatcher, loadWebhookConfig } from './webhooks.js';
+import { toInt } from './config.js';
 
 dotenv.config();
 
+// Rooms are only ever stored, counted and logged by this keyed hash
+const roomStoreConfig = loadRoomStoreConfig();
+const hashRoom = createRoomHasher(roomStoreConfig.hashSecret);
+
+// JSON logs; rooms only ever appear as logger.roomRef(room)
+const logger = new Logger({ ...loadLogConfig(), hashRoom });
+
 const app = express();
 const httpServer = createServer(app);
 
 // CORS configuration
 app.use(cors());
 
+// A dropped socket keeps its id and room membership this long, so a client
+// on a flaky network can resume the call instead of rejoining from scratch
+const RECONNECT_GRACE_MS = toInt(process.env.RECONNECT_GRACE_MS, 30000);
+
+// Disconnect reasons a client may recover from - anything else is a deliberate leave
+const RECOVERABLE_REASONS = new Set(['transport close', 'transport error', 'ping timeout']);
+
+// Room membership and capacity - kept in memory, or in Redis when several
+// instances run behind a load balancer.
+// Note: No encryption keys or media data is stored!
+const rooms = createRoomStore({ ...roomStoreConfig, hashRoom });
+
 // Socket.IO setup with CORS
 const io = new Server(httpServer, {
+  // The Redis store relays through the Socket.IO Redis adapter
+  adapter: rooms.createAdapter(),
+  connectionStateRecovery: {
+    maxDisconnectionDuration: RECONNECT_GRACE_MS,
+    // A resumed socket still needs its IP, connection slot and ban check
+    skipMiddlewares: false
+  },
+  // Signaling messages are small - reject anything bigger at the transport
+  maxHttpBufferSize: 100 * 1024,
   cors: {
     origin: process.env.CLIENT_URL || "http://localhost:3000",
     methods: ["GET", "POST"]
   }
 });
 
-// Room management - stores room occupancy
-// Note: No encryption keys or media data is stored!
-const rooms = new Map();
+// socket id -> timer that finally removes a dropped socket from its room
+const pendingLeaves = new Map();
+
+// The Redis adapter can't restore sessions, so with a shared store a dropped
+// client always comes back under a new id and rejoins. Holding its old place
+// would only make the room look full to that rejoin
+const canResume = !rooms.shared;
+
+// Room capacity - the first joiner may pick a size up to MAX_ROOM_CAPACITY.
+// Every participant holds a peer connection to every other one (mesh), so
+// this stays small
+const DEFAULT_ROOM_CAPACITY = toInt(process.env.DEFAULT_ROOM_CAPACITY, 2);
+const MAX_ROOM_CAPACITY = toInt(process.env.MAX_ROOM_CAPACITY, 6);
+
+// Brute-force and abuse protection - limits come from .env
+const guard = new AbuseGuard({ ...loadAbuseConfig(), hashRoom }, logger);
+
+// TURN servers and shared secret - credentials are minted per request
+const turnConfig = loadTurnConfig();
+
+// access token -> socket id. Only clients with a live signaling connection
+// may fetch TURN credentials
+const accessTokens = new Map();
+
+const metrics = createMetrics({
+  countSockets: () => io.of('/').sockets.size,
+  listRooms: () => rooms.listRooms()
+});
+
+// Optional bearer token for /metrics
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+// Room lifecycle events for scheduling and billing. Rooms appear by the same
+// ref as in the logs and admin API
+const webhooks = new WebhookDispatcher(loadWebhookConfig(), logger);
+
+// Admin API token, room limits and the reaper's schedule
+const adminConfig = loadAdminConfig();
+
+// Full rooms, rate-limited and banned joins all get the same answer after
+// the same delay, so a PIN scanner can't tell which rooms exist
+const UNAVAILABLE_DELAY_MS = 250;
+function rejectJoin(socket) {
+  setTimeout(() => socket.emit('roomUnavailable'), UNAVAILABLE_DELAY_MS + Math.random() * UNAVAILABLE_DELAY_MS);
+}
+
+// Connection caps and bans are enforced before the socket is accepted,
+// resumed ones included
+io.use((socket, next) => {
+  const ip = guard.clientIp(socket);
+  if (!guard.acceptConnection(ip)) {
+    next(new Error('Connection refused'));
+    return;
+  }
+  socket.clientIp = ip;
+  socket.on('disconnect', () => guard.releaseConnection(ip, socket.id));
+  next();
+});
 
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+  logger.info('User connected', { socketId: socket.id });
+
+  // Bearer token for the REST routes, valid as long as this socket is connected
+  const accessToken = createAccessToken();
+  accessTokens.set(accessToken, socket.id);
+  socket.on('disconnect', () => accessTokens.delete(accessToken));
+  socket.emit('session', { accessToken });
+
+  // A recovered socket is back in its rooms with the same id - the others
+  // never saw it leave
+  if (socket.recovered && pendingLeaves.has(socket.id)) {
+    clearTimeout(pendingLeaves.get(socket.id));
+    pendingLeaves.delete(socket.id);
+    socket.currentRoom = socket.data.currentRoom;
+    logger.info('User resumed room', { socketId: socket.id, room: logger.roomRef(socket.currentRoom) });
+
+    // The room may have been closed or reaped while we were away
+    const room = socket.currentRoom;
+    rooms.isMember(room, socket.id).then(member => {
+      if (member || socket.currentRoom !== room) return;
+      socket.leave(room);
+      socket.currentRoom = null;
+      socket.data.currentRoom = null;
+      socket.emit('roomClosed', { reason: 'closed' });
+    }).catch(error => logger.error('Checking a resumed room failed', { socketId: socket.id, error }));
+  }
+
+  // Drop message floods; the guard bans the IP if it keeps going
+  const allowMessage = () => {
+    if (guard.allowRelay(socket, socket.clientIp)) return true;
+    if (guard.isBanned(socket.clientIp)) socket.disconnect(true);
+    return false;
+  };
+
+  // Register a handler that only ever sees a validated payload. Invalid
+  // messages get a typed 'signaling-error' the client can surface. Every
+  // message counts toward the flood limit first, so junk can't be sent -
+  // and answered - without bound
+  const on = (event, handler) => {
+    socket.on(event, async (payload) => {
+      if (!allowMessage()) return;
+      try {
+        await handler(validatePayload(event, payload));
+      } catch (error) {
+        if (!(error instanceof SignalingError)) {
+          logger.error('Error handling event', { event, socketId: socket.id, error });
+          error = new SignalingError('INTERNAL_ERROR', 'Internal server error');
+        }
+        socket.emit('signaling-error', { event, code: error.code, message: error.message });
+      }
+    });
+  };
+
+  // Relays are addressed to one peer, and only ever delivered if both sides
+  // are members of the room - never to or from a socket still in the lobby,
+  // or one the host has removed
+  const relay = async (event, to, data) => {
+    if (!socket.currentRoom) {
+      throw new SignalingError('NOT_IN_ROOM', `Join a room before sending ${event}`);
+    }
+    const [sender, target] = await Promise.all([
+      rooms.isMember(socket.currentRoom, socket.id),
+      to !== socket.id && rooms.isMember(socket.currentRoom, to)
+    ]);
+    if (!sender) {
+      throw new SignalingError('NOT_IN_ROOM', `Join a room before sending ${event}`);
+    }
+    if (!target) {
+      throw new SignalingError('UNKNOWN_PEER', `${event} target is not in this room`);
+    }
+    io.to(to).emit(event, { ...data, from: socket.id });
+    if (event === 'offer' || event === 'answer') socket.negotiationDeadline = null;
+    metrics.relayed.inc({ type: event });
+    logger.debug('Relayed signaling message', { type: event, room: logger.roomRef(socket.currentRoom) });
+  };
+
+  // Host-only actions need a room to act in
+  const hostedRoom = (event) => {
+    if (!socket.currentRoom) {
+      throw new SignalingError('NOT_IN_ROOM', `Join a room before sending ${event}`);
+    }
+    return socket.currentRoom;
+  };
 
   // Handle room joining
-  socket.on('join-room', ({ room }) => {
-    // Check if room exists and get current occupancy
-    const roomData = rooms.get(room) || { users: new Set(), occupancy: 0 };
-    
-    // Maximum 2 users per room for 1-to-1 calls
-    if (roomData.occupancy >= 2) {
-      socket.emit('roomFull');
+  on('join-room', async ({ room, capacity }) => {
+    if (socket.currentRoom || socket.joining) {
+      throw new SignalingError('ALREADY_IN_ROOM', 'Leave the current room first');
+    }
+    if (socket.lobbyRoom) {
+      await leaveLobby(socket);
+    }
+
+    if (!guard.allowJoin(socket, socket.clientIp, room)) {
+      rejectJoin(socket);
+      if (guard.isBanned(socket.clientIp)) socket.disconnect(true);
       return;
     }
 
-    // Add user to room
-    socket.join(room);
-    roomData.users.add(socket.id);
-    roomData.occupancy = roomData.users.size;
-    rooms.set(room, roomData);
+    // The store checks capacity and adds us in one step. A requested
+    // capacity only applies to a room that doesn't exist yet
+    const requested = Math.min(capacity || DEFAULT_ROOM_CAPACITY, MAX_ROOM_CAPACITY);
+    let roomData;
+    socket.joining = true;
+    try {
+      roomData = await rooms.join(room, socket.id, requested);
+      if (!roomData && await pruneRoom(room)) {
+        roomData = await rooms.join(room, socket.id, requested);
+      }
+    } finally {
+      socket.joining = false;
+    }
 
-    // Store room info on socket for cleanup
-    socket.currentRoom = room;
+    if (!roomData) {
+      metrics.roomFull.inc();
+      webhooks.emit('room.full', { room: logger.roomRef(room) });
+      logger.info('Room full', { socketId: socket.id, room: logger.roomRef(room) });
+      rejectJoin(socket);
+      return;
+    }
 
-    // Notify user they've joined
-    socket.emit('roomJoined', { 
-      occupancy: roomData.occupancy 
-    });
+    // The room already has a host - wait in the lobby and knock
+    if (roomData.waiting) {
+      if (!socket.connected) return;
+      socket.lobbyRoom = room;
+      socket.knocked = false;
+      socket.emit('waitingForHost');
+      return;
+    }
+
+    // Gone while the store was answering
+    if (!socket.connected) {
+      await rooms.leave(room, socket.id);
+      return;
+    }
+
+    webhooks.emit('room.created', { room: logger.roomRef(room), capacity: roomData.capacity });
+    enterRoom(socket, room, roomData);
+    logger.info('Room created', { socketId: socket.id, room: logger.roomRef(room), capacity: roomData.capacity });
+  });
+
+  // Ask the host to be let in, with a name they'll recognise. Once per
+  // join-room, so knocking again means joining again
+  on('knock', async ({ name }) => {
+    const room = socket.lobbyRoom;
+    if (!room) {
+      throw new SignalingError('NOT_WAITING', 'Join a room before knocking');
+    }
+    if (socket.knocked) {
+      throw new SignalingError('ALREADY_KNOCKED', 'Wait for the host to answer');
+    }
+    socket.knocked = true;
+    if (!guard.allowKnock(socket.clientIp)) {
+      socket.lobbyRoom = null;
+      rejectJoin(socket);
+      if (guard.isBanned(socket.clientIp)) socket.disconnect(true);
+      return;
+    }
+
+    const displayName = name.trim() || 'Guest';
+    const host = await rooms.knock(room, socket.id, displayName);
+    if (!host) {
+      socket.lobbyRoom = null;
+      rejectJoin(socket);
+      return;
+    }
+    io.to(host).emit('knock', { userId: socket.id, name: displayName });
+    logger.info('User knocked', { socketId: socket.id, room: logger.roomRef(room) });
+  });
 
-    // Notify other users in room
-    socket.to(room).emit('userJoined', {
-      userId: socket.id,
-      occupancy: roomData.occupancy
+  // The host let us in - possibly from another instance, so the admitted
+  // socket finishes joining on its own
+  on('enter-room', async () => {
+    const room = socket.lobbyRoom;
+    const info = room && await rooms.describe(room);
+    if (!info || !info.members.includes(socket.id)) {
+      throw new SignalingError('NOT_ADMITTED', 'Wait for the host to let you in');
+    }
+    socket.lobbyRoom = null;
+    enterRoom(socket, room, {
+      peers: info.members.filter(id => id !== socket.id),
+      occupancy: info.members.length,
+      capacity: info.capacity,
+      host: info.host
+    });
+    logger.info('User joined room', {
+      socketId: socket.id,
+      room: logger.roomRef(room),
+      occupancy: info.members.length,
+      capacity: info.capacity
     });
+  });
 
-    console.log(`User ${socket.id} joined room ${room}. Occupancy: ${roomData.occupancy}`);
+  on('admit', async ({ userId }) => {
+    const room = hostedRoom('admit');
+    const result = await rooms.admit(room, socket.id, userId);
+    if (result.error === 'ROOM_FULL') {
+      metrics.roomFull.inc();
+      webhooks.emit('room.full', { room: logger.roomRef(room) });
+      io.to(userId).emit('roomUnavailable');
+      throw new SignalingError('ROOM_FULL', 'The room is full');
+    }
+    if (result.error) {
+      throw new SignalingError(result.error, result.error === 'NOT_HOST'
+        ? 'Only the host can let people in'
+        : 'Nobody with that id is waiting');
+    }
+    io.to(userId).emit('admitted');
   });
 
-  // Handle WebRTC signaling - offer
-  socket.on('offer', ({ room, offer }) => {
-    console.log(`Relaying offer in room ${room}`);
-    socket.to(room).emit('offer', { offer, from: socket.id });
+  on('deny', async ({ userId }) => {
+    const room = hostedRoom('deny');
+    const result = await rooms.deny(room, socket.id, userId);
+    if (result.error) {
+      throw new SignalingError(result.error, result.error === 'NOT_HOST'
+        ? 'Only the host can turn people away'
+        : 'Nobody with that id is waiting');
+    }
+    turnAwayLocal(userId);
+    // The knock may have come in through another instance
+    if (rooms.shared) io.serverSideEmit('turn-away', userId);
   });
 
-  // Handle WebRTC signaling - answer
-  socket.on('answer', ({ room, answer }) => {
-    console.log(`Relaying answer in room ${room}`);
-    socket.to(room).emit('answer', { answer, from: socket.id });
+  // The host can take anyone else out of the call
+  on('remove-participant', async ({ userId }) => {
+    const room = hostedRoom('remove-participant');
+    const result = userId === socket.id ? null : await rooms.leave(room, userId, socket.id);
+    if (result && result.error) {
+      throw new SignalingError(result.error, 'Only the host can remove participants');
+    }
+    if (!result) {
+      throw new SignalingError('UNKNOWN_PEER', 'remove-participant target is not in this room');
+    }
+    removeLocal(userId, room);
+    // The participant may be connected to another instance
+    if (rooms.shared) io.serverSideEmit('remove', userId, room);
+    await announceLeave(room, userId, result);
+    logger.info('User removed by the host', { socketId: userId, room: logger.roomRef(room) });
   });
 
+  // Relay CPace key exchange messages - only public shares and MAC tags,
+  // the server can't derive the session key from them
+  on('key-exchange', ({ to, message }) => relay('key-exchange', to, { message }));
+
+  // Handle WebRTC signaling - offer
+  // SDP and ICE arrive sealed by the clients; the server only sees opaque blobs
+  on('offer', ({ to, sealed }) => relay('offer', to, { sealed }));
+
+  // Handle WebRTC signaling - answer
+  on('answer', ({ to, sealed }) => relay('answer', to, { sealed }));
+
   // Handle ICE candidates
-  socket.on('ice-candidate', ({ room, candidate }) => {
-    console.log(`Relaying ICE candidate in room ${room}`);
-    socket.to(room).emit('ice-candidate', { candidate, from: socket.id });
-  });
+  on('ice-candidate', ({ to, sealed }) => relay('ice-candidate', to, { sealed }));
 
   // Handle room leaving
-  socket.on('leave-room', ({ room }) => {
-    handleUserLeave(socket, room);
+  on('leave-room', async () => {
+    if (socket.currentRoom) {
+      await handleUserLeave(socket, socket.currentRoom);
+    } else if (socket.lobbyRoom) {
+      await leaveLobby(socket);
+    }
   });
 
-  // Handle disconnect
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-    if (socket.currentRoom) {
-      handleUserLeave(socket, socket.currentRoom);
+  // Handle disconnect - network drops get a grace period to recover
+  socket.on('disconnect', (reason) => {
+    logger.info('User disconnected', { socketId: socket.id, reason });
+    if (socket.lobbyRoom) {
+      leaveLobby(socket).catch(error => logger.error('Error leaving lobby', { socketId: socket.id, error }));
+    }
+    const room = socket.currentRoom;
+    if (!room) return;
+
+    if (canResume && RECOVERABLE_REASONS.has(reason)) {
+      pendingLeaves.set(socket.id, setTimeout(() => {
+        pendingLeaves.delete(socket.id);
+        leaveAfterDisconnect(socket, room);
+      }, RECONNECT_GRACE_MS));
+    } else {
+      leaveAfterDisconnect(socket, room);
     }
   });
 });
 
 // Helper function to handle user leaving
-function handleUserLeave(socket, room) {
-  const roomData = rooms.get(room);
-  
-  if (roomData) {
-    roomData.users.delete(socket.id);
-    roomData.occupancy = roomData.users.size;
-
-    if (roomData.occupancy === 0) {
-      // Delete empty room
-      rooms.delete(room);
-      console.log(`Room ${room} deleted (empty)`);
-    } else {
-      rooms.set(room, roomData);
-      // Notify remaining users
-      socket.to(room).emit('userLeft', {
-        userId: socket.id,
-        occupancy: roomData.occupancy
-      });
-      console.log(`User ${socket.id} left room ${room}. Occupancy: ${roomData.occupancy}`);
-    }
+async function handleUserLeave(socket, room) {
+  socket.leave(room);
+  socket.currentRoom = null;
+  socket.data.currentRoom = null;
+  socket.negotiationDeadline = null;
+  await removeMember(room, socket.id);
+}
+
+// Join the Socket.IO room and tell everyone. Negotiation roles for every
+// pair: the newcomer is the polite peer and backs off when both sides offer
+// at once, everyone already here is impolite
+function enterRoom(socket, room, { peers, occupancy, capacity, host }) {
+  socket.join(room);
+
+  // Store room info on socket for cleanup; socket.data survives recovery
+  socket.currentRoom = room;
+  socket.data.currentRoom = room;
+
+  // Everyone already here gets an offer from the newcomer, who is reaped if
+  // they never send one
+  if (peers.length > 0 && adminConfig.negotiationTimeoutMs) {
+    socket.negotiationDeadline = Date.now() + adminConfig.negotiationTimeoutMs;
+  }
+  socket.emit('roomJoined', { occupancy, capacity, peers, polite: true, hostId: host });
+  socket.to(room).emit('userJoined', { userId: socket.id, occupancy, polite: false });
+  const role = host === socket.id ? 'host' : 'guest';
+  metrics.joins.inc({ role });
+  webhooks.emit('participant.joined', { room: logger.roomRef(room), participant: socket.id, role, occupancy, capacity });
+}
+
+// Take a socket out of the store and tell whoever is left
+async function removeMember(room, socketId) {
+  const result = await rooms.leave(room, socketId);
+  if (result) await announceLeave(room, socketId, result);
+}
+
+async function announceLeave(room, socketId, { occupancy, host, hostChanged, lobby }) {
+  metrics.leaves.inc();
+  webhooks.emit('participant.left', { room: logger.roomRef(room), participant: socketId, occupancy });
+  if (occupancy === 0) {
+    // Nobody is left to let the lobby in
+    if (lobby.length > 0) io.to(lobby).emit('lobbyClosed');
+    webhooks.emit('room.deleted', { room: logger.roomRef(room), reason: 'empty' });
+    logger.info('Room deleted (empty)', { room: logger.roomRef(room) });
+    return;
+  }
+
+  io.to(room).emit('userLeft', { userId: socketId, occupancy });
+  logger.info('User left room', { socketId, room: logger.roomRef(room), occupancy });
+
+  // The new host inherits whoever is still knocking
+  if (hostChanged) {
+    io.to(room).emit('hostChanged', { hostId: host });
+    (await rooms.lobby(room)).forEach(knock => io.to(host).emit('knock', knock));
   }
+}
+
+// Leaving the lobby withdraws the knock - or, if the host let us in just
+// before, gives the place back
+async function leaveLobby(socket) {
+  const room = socket.lobbyRoom;
+  socket.lobbyRoom = null;
+  const host = await rooms.withdraw(room, socket.id);
+  if (host) {
+    io.to(host).emit('knockWithdrawn', { userId: socket.id });
+  } else {
+    await removeMember(room, socket.id);
+  }
+}
 
+// The host said no: the socket is out of the lobby and has to join again
+// before it can knock again
+function turnAwayLocal(socketId) {
+  const socket = io.of('/').sockets.get(socketId);
+  if (!socket || !socket.lobbyRoom) return;
+  socket.lobbyRoom = null;
+  socket.emit('denied');
+}
+
+io.on('turn-away', turnAwayLocal);
+
+// The host took the socket out of the call: it leaves the room here too, so
+// nothing it sends afterwards counts as coming from a member
+function removeLocal(socketId, room) {
+  const socket = io.of('/').sockets.get(socketId);
+  if (!socket || socket.currentRoom !== room) return;
   socket.leave(room);
   socket.currentRoom = null;
+  socket.data.currentRoom = null;
+  socket.negotiationDeadline = null;
+  socket.emit('removed', { reason: 'host' });
+}
+
+io.on('remove', removeLocal);
+
+// Disconnects have no handler to report errors to
+function leaveAfterDisconnect(socket, room) {
+  handleUserLeave(socket, room).catch(error => logger.error('Error leaving room', { socketId: socket.id, error }));
+}
+
+// A shared store can hold members of an instance that crashed or restarted.
+// When a room looks full, drop members no instance still has a socket for -
+// except our own dropped sockets, which may yet recover. Returns whether
+// anyone was removed
+async function pruneRoom(room) {
+  if (!rooms.shared) return false;
+
+  let live;
+  try {
+    live = new Set((await io.in(room).fetchSockets()).map(socket => socket.id));
+  } catch (error) {
+    logger.warn('Could not list room sockets across instances', { room: logger.roomRef(room), error });
+    return false;
+  }
+
+  const stale = (await rooms.members(room)).filter(id => !live.has(id) && !pendingLeaves.has(id));
+  for (const id of stale) {
+    await removeMember(room, id);
+  }
+  return stale.length > 0;
+}
+
+// Shut a room down: the store forgets it, and every member and everyone
+// still knocking gets a terminal roomClosed. Resolves to whether it existed
+async function closeRoom(hash, reason) {
+  const closed = await rooms.closeRoom(hash);
+  if (!closed) return false;
+
+  closeLocalRoom(hash, reason);
+  // Other instances clean up their own sockets
+  if (rooms.shared) io.serverSideEmit('close-room', hash, reason);
+
+  const ref = logger.hashRef(hash);
+  metrics.leaves.inc(closed.members.length);
+  closed.members.forEach(participant => webhooks.emit('participant.left', { room: ref, participant, occupancy: 0, reason }));
+  webhooks.emit('room.deleted', { room: ref, reason });
+
+  logger.info('Room closed', { room: ref, reason, occupancy: closed.members.length });
+  return true;
+}
+
+function closeLocalRoom(hash, reason) {
+  for (const socket of io.of('/').sockets.values()) {
+    const room = socket.currentRoom || socket.lobbyRoom;
+    if (!room || hashRoom(room) !== hash) continue;
+
+    socket.leave(room);
+    socket.currentRoom = null;
+    socket.data.currentRoom = null;
+    socket.lobbyRoom = null;
+    socket.negotiationDeadline = null;
+    socket.emit('roomClosed', { reason });
+  }
+}
+
+io.on('close-room', closeLocalRoom);
+
+// A call can sit quietly for hours once it's connected, so a room is only
+// idle while nobody is connected to it. Every instance marks the rooms its
+// own members are in before it reaps
+async function markLiveRooms() {
+  const live = new Set();
+  for (const socket of io.of('/').sockets.values()) {
+    if (socket.currentRoom) live.add(socket.currentRoom);
+  }
+  await Promise.all([...live].map(room => rooms.touch(room)));
+}
+
+// Close rooms past their expiry, maximum duration or idle timeout, and take
+// out sockets that joined a call but never started negotiating. Every
+// instance reaps; closing a room twice is a no-op
+async function reap() {
+  await markLiveRooms();
+  const now = Date.now();
+  for (const room of await rooms.listRooms()) {
+    const reason = reapReason(room, adminConfig, now);
+    if (reason) await closeRoom(room.hash, reason);
+  }
+
+  for (const socket of io.of('/').sockets.values()) {
+    if (!socket.currentRoom || !socket.negotiationDeadline || now < socket.negotiationDeadline) continue;
+    // With nobody left to negotiate with, waiting isn't the newcomer's fault
+    if ((await rooms.members(socket.currentRoom)).length < 2) {
+      socket.negotiationDeadline = null;
+      continue;
+    }
+    logger.info('Removed a user that never negotiated', { socketId: socket.id, room: logger.roomRef(socket.currentRoom) });
+    socket.emit('removed', { reason: 'inactive' });
+    await handleUserLeave(socket, socket.currentRoom);
+  }
+}
+
+if (adminConfig.reaperIntervalMs > 0) {
+  setInterval(() => reap().catch(error => logger.error('Reaping rooms failed', { error })), adminConfig.reaperIntervalMs)
+    .unref();
 }
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok',
-    activeRooms: rooms.size,
-    timestamp: new Date().toISOString()
-  });
+app.get('/health', async (req, res) => {
+  try {
+    res.json({
+      status: 'ok',
+      activeRooms: await rooms.roomCount(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(503).json({ status: 'unavailable', timestamp: new Date().toISOString() });
+  }
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('Collecting metrics failed', { error });
+    res.status(500).end();
+  }
+});
+
+// Room inspection and teardown for operators
+if (adminConfig.token) {
+  app.use('/admin', createAdminRouter({ config: adminConfig, rooms, logger, closeRoom }));
+}
+
+// Time-limited TURN credentials for connected clients
+app.get('/turn-credentials', (req, res) => {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!match || !accessTokens.has(match[1])) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+  res.set('Cache-Control', 'no-store');
+  res.json(createIceServers(turnConfig));
 });
 
 // Server info endpoint
@@ -137,6 +651,9 @@ app.get('/', (req, res) => {
     description: 'WebRTC signaling server for E2EE video calls',
     endpoints: {
       health: '/health',
+      metrics: '/metrics',
+      admin: '/admin/rooms',
+      turnCredentials: '/turn-credentials',
       socket: '/socket.io'
     }
   });
@@ -145,16 +662,7 @@ app.get('/', (req, res) => {
 const PORT = process.env.PORT || 3001;
 
 httpServer.listen(PORT, () => {
-  console.log(`
-  🚀 SecureCall Server Running
-  ━━━━━━━━━━━━━━━━━━━━━━━━━━━
-  Port: ${PORT}
-  Health: http://localhost:${PORT}/health
-  
-  🔐 Security Note:
-  - Server acts as signaling only
-  - No media or encryption keys stored
-  - All encryption happens client-side
-  ━━━━━━━━━━━━━━━━━━━━━━━━━━━
-  `);
+  // Server acts as signaling only: no media or encryption keys are stored,
+  // all encryption happens client-side
+  logger.info('SecureCall signaling server running', { port: Number(PORT), roomStore: rooms.shared ? 'redis' : 'memory' });
 });
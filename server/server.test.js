@@ -0,0 +1,340 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { fileURLToPath } from 'url';
+import { io } from 'socket.io-client';
+
+// Runs the real server on a spare port and drives it through Socket.IO
+// clients. Every test connects from its own X-Forwarded-For address, so the
+// per-IP limits of one test don't spill into the next
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = createServer();
+  probe.once('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const once = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+let url;
+let addresses = 0;
+
+async function waitForHealth(deadline = Date.now() + 10000) {
+  while (Date.now() < deadline) {
+    try {
+      if ((await fetch(`${url}/health`)).ok) return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Server did not start');
+}
+
+// Resolves to the server process once it answers, on a fresh port for
+// each suite
+async function startServer(env) {
+  const port = await freePort();
+  url = `http://localhost:${port}`;
+  const server = spawn(process.execPath, ['server.js'], {
+    cwd: fileURLToPath(new URL('.', import.meta.url)),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LOG_LEVEL: 'error',
+      ROOM_STORE: 'memory',
+      TRUST_PROXY: 'true',
+      SCAN_ROOM_LIMIT: '100',
+      ADMIN_TOKEN: '',
+      METRICS_TOKEN: '',
+      WEBHOOK_URLS: '',
+      ...env
+    },
+    stdio: 'ignore'
+  });
+  await waitForHealth();
+  return server;
+}
+
+const activeRooms = async () => (await (await fetch(`${url}/health`)).json()).activeRooms;
+
+// Sum of one Prometheus counter over all its labels
+async function counter(name) {
+  const text = await (await fetch(`${url}/metrics`)).text();
+  return text.split('\n')
+    .filter(line => line.startsWith(`${name} `) || line.startsWith(`${name}{`))
+    .reduce((sum, line) => sum + Number(line.split(' ').pop()), 0);
+}
+
+// Clients that share an address share its limits
+function clientAt(ip) {
+  return new Promise((resolve, reject) => {
+    const socket = io(url, {
+      transports: ['websocket'],
+      extraHeaders: { 'x-forwarded-for': ip },
+      reconnection: false,
+      forceNew: true
+    });
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+}
+
+const newAddress = () => `10.0.0.${++addresses}`;
+const client = () => clientAt(newAddress());
+
+async function hostRoom(room) {
+  const host = await client();
+  host.emit('join-room', { room, capacity: 3 });
+  await once(host, 'roomJoined');
+  return host;
+}
+
+// Joins and knocks, resolving to the knock the host saw
+async function knock(guest, host, room, name) {
+  guest.emit('join-room', { room });
+  await once(guest, 'waitingForHost');
+  const knocked = once(host, 'knock');
+  guest.emit('knock', { name });
+  return knocked;
+}
+
+describe('lobby protocol', { timeout: 20000 }, () => {
+  let server;
+  const sockets = [];
+  const track = (...connected) => sockets.push(...connected);
+
+  before(async () => {
+    server = await startServer({ JOIN_RATE_LIMIT: '2' });
+  });
+
+  after(() => {
+    sockets.forEach(socket => socket.disconnect());
+    server.kill();
+  });
+
+  it('lets an admitted guest into the call', async () => {
+    const host = await hostRoom('admit-room');
+    const guest = await client();
+    track(host, guest);
+    assert.deepEqual(await knock(guest, host, 'admit-room', 'Alice'), { userId: guest.id, name: 'Alice' });
+
+    host.emit('admit', { userId: guest.id });
+    await once(guest, 'admitted');
+    const joined = once(host, 'userJoined');
+    guest.emit('enter-room');
+    const { peers, hostId } = await once(guest, 'roomJoined');
+    assert.deepEqual(peers, [host.id]);
+    assert.equal(hostId, host.id);
+    assert.equal((await joined).userId, guest.id);
+  });
+
+  it('keeps a waiting guest out of signaling and the call', async () => {
+    const host = await hostRoom('waiting-room');
+    const guest = await client();
+    track(host, guest);
+    await knock(guest, host, 'waiting-room', 'Alice');
+
+    guest.emit('offer', { to: host.id, sealed: 'AAAA' });
+    assert.equal((await once(guest, 'signaling-error')).code, 'NOT_IN_ROOM');
+    guest.emit('enter-room');
+    assert.equal((await once(guest, 'signaling-error')).code, 'NOT_ADMITTED');
+  });
+
+  it('takes one knock per join', async () => {
+    const host = await hostRoom('twice-room');
+    const guest = await client();
+    track(host, guest);
+    await knock(guest, host, 'twice-room', 'Alice');
+
+    guest.emit('knock', { name: 'Alice' });
+    assert.equal((await once(guest, 'signaling-error')).code, 'ALREADY_KNOCKED');
+  });
+
+  it('sends a denied guest out of the lobby', async () => {
+    const host = await hostRoom('deny-room');
+    const guest = await client();
+    track(host, guest);
+    await knock(guest, host, 'deny-room', 'Alice');
+
+    host.emit('deny', { userId: guest.id });
+    await once(guest, 'denied');
+    guest.emit('knock', { name: 'Alice' });
+    assert.equal((await once(guest, 'signaling-error')).code, 'NOT_WAITING');
+    guest.emit('enter-room');
+    assert.equal((await once(guest, 'signaling-error')).code, 'NOT_ADMITTED');
+
+    // Joining again is the only way back to the host
+    assert.equal((await knock(guest, host, 'deny-room', 'Alice')).userId, guest.id);
+  });
+
+  it('limits knocks per address', async () => {
+    const host = await hostRoom('flood-room');
+    const ip = newAddress();
+    const guests = [await clientAt(ip), await clientAt(ip), await clientAt(ip)];
+    track(host, ...guests);
+    await knock(guests[0], host, 'flood-room', 'One');
+    await knock(guests[1], host, 'flood-room', 'Two');
+
+    let knocked = false;
+    host.once('knock', () => {
+      knocked = true;
+    });
+    guests[2].emit('join-room', { room: 'flood-room' });
+    await once(guests[2], 'waitingForHost');
+    guests[2].emit('knock', { name: 'Three' });
+    await once(guests[2], 'roomUnavailable');
+    assert.equal(knocked, false);
+  });
+
+  it('takes a removed participant out of the room', async () => {
+    const host = await hostRoom('remove-room');
+    const guest = await client();
+    track(host, guest);
+    await knock(guest, host, 'remove-room', 'Alice');
+    host.emit('admit', { userId: guest.id });
+    await once(guest, 'admitted');
+    guest.emit('enter-room');
+    await once(guest, 'roomJoined');
+
+    host.emit('remove-participant', { userId: guest.id });
+    assert.deepEqual(await once(guest, 'removed'), { reason: 'host' });
+    guest.emit('offer', { to: host.id, sealed: 'AAAA' });
+    assert.equal((await once(guest, 'signaling-error')).code, 'NOT_IN_ROOM');
+    // Without waiting for the client to leave, it can knock again
+    guest.emit('join-room', { room: 'remove-room' });
+    await once(guest, 'waitingForHost');
+  });
+
+  it('tells the lobby when the last member leaves', async () => {
+    const host = await hostRoom('closing-room');
+    const guest = await client();
+    track(host, guest);
+    await knock(guest, host, 'closing-room', 'Alice');
+
+    host.emit('leave-room');
+    await once(guest, 'lobbyClosed');
+  });
+});
+
+describe('reaper', { timeout: 20000 }, () => {
+  let server;
+  const sockets = [];
+
+  before(async () => {
+    server = await startServer({ REAPER_INTERVAL_MS: '100', ROOM_IDLE_TIMEOUT_MS: '500', NEGOTIATION_TIMEOUT_MS: '0' });
+  });
+
+  after(() => {
+    sockets.forEach(socket => socket.disconnect());
+    server.kill();
+  });
+
+  it('leaves a connected call open however quiet it is', async () => {
+    const host = await hostRoom('quiet-room');
+    sockets.push(host);
+    let closed = false;
+    host.on('roomClosed', () => {
+      closed = true;
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    assert.equal(closed, false);
+    assert.equal(await activeRooms(), 1);
+    host.emit('leave-room');
+  });
+
+  it('closes a room its members dropped out of', async () => {
+    const host = await hostRoom('dropped-room');
+    // A dropped transport keeps the place for a reconnect that never comes
+    host.io.engine.close();
+    assert.equal(await activeRooms(), 1);
+
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    assert.equal(await activeRooms(), 0);
+    // Everyone who joined has left, the reaped room's member included
+    assert.equal(await counter('securecall_room_leaves_total'), await counter('securecall_room_joins_total'));
+  });
+});
+
+describe('recovered sockets', { timeout: 20000 }, () => {
+  let server;
+  const sockets = [];
+
+  before(async () => {
+    server = await startServer({ MAX_CONNECTIONS_PER_IP: '1' });
+  });
+
+  after(() => {
+    sockets.forEach(socket => socket.disconnect());
+    server.kill();
+  });
+
+  // Drops the transport and lets the client try once to resume
+  async function dropAndRecover(socket) {
+    socket.io.reconnectionAttempts(1);
+    socket.io.reconnection(true);
+    socket.io.engine.close();
+    return new Promise(resolve => {
+      socket.once('connect', () => resolve('connected'));
+      socket.io.once('reconnect_failed', () => resolve('refused'));
+      socket.once('connect_error', () => resolve('refused'));
+    });
+  }
+
+  it('resumes under the connection limit of its own address', async () => {
+    const host = await hostRoom('recovered-room');
+    sockets.push(host);
+    // A broadcast gives the client an offset to resume from
+    const guest = await client();
+    sockets.push(guest);
+    await knock(guest, host, 'recovered-room', 'Alice');
+
+    assert.equal(await dropAndRecover(host), 'connected');
+    assert.equal(host.recovered, true);
+    host.emit('offer', { to: guest.id, sealed: 'AAAA' });
+    assert.equal((await once(host, 'signaling-error')).code, 'UNKNOWN_PEER');
+  });
+
+  it('still counts against the connection limit', async () => {
+    const ip = newAddress();
+    const host = await clientAt(ip);
+    sockets.push(host);
+    host.emit('join-room', { room: 'capped-room' });
+    await once(host, 'roomJoined');
+    const guest = await client();
+    sockets.push(guest);
+    await knock(guest, host, 'capped-room', 'Alice');
+
+    // Someone else from the same address takes the only slot while it's away
+    const recovering = dropAndRecover(host);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    sockets.push(await clientAt(ip));
+    assert.equal(await recovering, 'refused');
+  });
+});
+
+describe('message floods', { timeout: 20000 }, () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ RELAY_RATE_LIMIT: '5', RELAY_STRIKES_BEFORE_BAN: '3' });
+  });
+
+  after(() => server.kill());
+
+  it('counts invalid messages and bans an address that keeps sending them', async () => {
+    const flooder = await client();
+    let replies = 0;
+    flooder.on('signaling-error', () => replies++);
+    const disconnected = once(flooder, 'disconnect');
+    for (let i = 0; i < 20; i++) flooder.emit('offer', { to: '../nobody', sealed: '<junk>' });
+
+    assert.equal(await disconnected, 'io server disconnect');
+    assert.equal(replies, 5);
+  });
+});
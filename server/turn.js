@@ -0,0 +1,38 @@
+import { createHmac, randomBytes } from 'crypto';
+import { toInt } from './config.js';
+
+// Ephemeral TURN credentials in the coturn shared-secret scheme
+// (use-auth-secret / static-auth-secret): the username carries its own
+// expiry and the password is an HMAC over it, so coturn can check them
+// without ever talking to this server.
+
+const DEFAULT_STUN_URLS = 'stun:stun.l.google.com:19302,stun:stun1.l.google.com:19302';
+
+const toList = (value) => (value || '').split(',').map(url => url.trim()).filter(Boolean);
+
+// TURN URLs and the shared secret come from .env; without them only STUN is offered
+export function loadTurnConfig(env = process.env) {
+  return {
+    stunUrls: toList(env.STUN_URLS ?? DEFAULT_STUN_URLS),
+    turnUrls: toList(env.TURN_URLS),
+    secret: env.TURN_SECRET || null,
+    ttlSeconds: toInt(env.TURN_TTL_SECONDS, 86400)
+  };
+}
+
+// Opaque bearer token handed to a connected socket for the REST route
+export const createAccessToken = () => randomBytes(24).toString('base64url');
+
+// The username never contains the socket id or room - only the expiry and a random tag
+export function createIceServers({ stunUrls, turnUrls, secret, ttlSeconds }, now = Date.now()) {
+  const iceServers = stunUrls.length > 0 ? [{ urls: stunUrls }] : [];
+
+  if (turnUrls.length > 0 && secret) {
+    const expiry = Math.floor(now / 1000) + ttlSeconds;
+    const username = `${expiry}:${randomBytes(8).toString('hex')}`;
+    const credential = createHmac('sha1', secret).update(username).digest('base64');
+    iceServers.push({ urls: turnUrls, username, credential });
+  }
+
+  return { iceServers, ttl: ttlSeconds };
+}
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { createAccessToken, createIceServers, loadTurnConfig } from './turn.js';
+
+const config = (overrides = {}) => ({
+  ...loadTurnConfig({ TURN_URLS: 'turn:turn.example:3478,turns:turn.example:5349', TURN_SECRET: 'secret' }),
+  ...overrides
+});
+
+describe('loadTurnConfig', () => {
+  it('offers the default STUN servers and no TURN without .env', () => {
+    const { stunUrls, turnUrls, secret, ttlSeconds } = loadTurnConfig({});
+    assert.ok(stunUrls.length > 0);
+    assert.deepEqual(turnUrls, []);
+    assert.equal(secret, null);
+    assert.equal(ttlSeconds, 86400);
+  });
+
+  it('reads comma separated URLs and the TTL', () => {
+    const turn = loadTurnConfig({ STUN_URLS: '', TURN_URLS: ' turn:a:3478 , ,turns:b:5349', TURN_TTL_SECONDS: '600' });
+    assert.deepEqual(turn.stunUrls, []);
+    assert.deepEqual(turn.turnUrls, ['turn:a:3478', 'turns:b:5349']);
+    assert.equal(turn.ttlSeconds, 600);
+    assert.equal(loadTurnConfig({ TURN_TTL_SECONDS: 'soon' }).ttlSeconds, 86400);
+  });
+});
+
+describe('createIceServers', () => {
+  const now = 1700000000500;
+
+  it('signs a username that carries its own expiry', () => {
+    const { iceServers, ttl } = createIceServers(config({ ttlSeconds: 600 }), now);
+    const turn = iceServers.find(server => server.username);
+
+    const [expiry, tag] = turn.username.split(':');
+    assert.equal(Number(expiry), 1700000000 + 600);
+    assert.match(tag, /^[0-9a-f]{16}$/);
+    // What coturn's use-auth-secret computes from the username
+    assert.equal(turn.credential, createHmac('sha1', 'secret').update(turn.username).digest('base64'));
+    assert.deepEqual(turn.urls, ['turn:turn.example:3478', 'turns:turn.example:5349']);
+    assert.equal(ttl, 600);
+  });
+
+  it('hands out a different username every time', () => {
+    const first = createIceServers(config(), now).iceServers.at(-1);
+    const second = createIceServers(config(), now).iceServers.at(-1);
+    assert.notEqual(first.username, second.username);
+    assert.notEqual(first.credential, second.credential);
+  });
+
+  it('only offers TURN with both URLs and a secret', () => {
+    for (const overrides of [{ secret: null }, { turnUrls: [] }]) {
+      const { iceServers } = createIceServers(config(overrides), now);
+      assert.deepEqual(iceServers, [{ urls: config().stunUrls }]);
+    }
+    assert.deepEqual(createIceServers(config({ stunUrls: [], secret: null }), now).iceServers, []);
+  });
+});
+
+describe('createAccessToken', () => {
+  it('is random and URL safe', () => {
+    const token = createAccessToken();
+    assert.match(token, /^[A-Za-z0-9_-]{32}$/);
+    assert.notEqual(createAccessToken(), token);
+  });
+});
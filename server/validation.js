@@ -0,0 +1,113 @@
+// Payload schemas for every client -> server event. Each field is checked
+// for type and size; unknown keys are ignored and never relayed.
+
+export class SignalingError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SignalingError';
+    this.code = code;
+  }
+}
+
+const ROOM_PATTERN = /^[A-Za-z0-9_-]+$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+// Socket.IO ids are short base64url strings
+const PEER_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+// Display names are shown to the host as text; no control characters
+const DISPLAY_NAME_PATTERN = /^[^\u0000-\u001f\u007f]*$/;
+
+// Sealed SDP is a few KB; candidates and CPace values are much smaller
+const MAX_SEALED_SDP = 64 * 1024;
+const MAX_SEALED_CANDIDATE = 4 * 1024;
+const MAX_KEY_EXCHANGE_VALUE = 128;
+
+const string = (maxLength, pattern, required = true) => ({ type: 'string', maxLength, pattern, required });
+const integer = (min, max, required = true) => ({ type: 'number', integer: true, min, max, required });
+const peerId = string(64, PEER_ID_PATTERN);
+
+const schemas = {
+  'join-room': {
+    room: string(64, ROOM_PATTERN),
+    // Only applies when the join creates the room; the server clamps it to its maximum
+    capacity: integer(2, 64, false)
+  },
+  'leave-room': {},
+  // Lobby: a later joiner knocks with a name, the host admits or denies them
+  knock: { name: string(64, DISPLAY_NAME_PATTERN) },
+  'enter-room': {},
+  admit: { userId: peerId },
+  deny: { userId: peerId },
+  'remove-participant': { userId: peerId },
+  'key-exchange': {
+    to: peerId,
+    message: {
+      type: 'object',
+      required: true,
+      fields: {
+        type: { type: 'string', enum: ['share', 'confirm', 'rekey'], required: true },
+        share: string(MAX_KEY_EXCHANGE_VALUE, BASE64_PATTERN, false),
+        tag: string(MAX_KEY_EXCHANGE_VALUE, BASE64_PATTERN, false),
+        // Orders authenticated rekey requests
+        seq: integer(1, Number.MAX_SAFE_INTEGER, false)
+      }
+    }
+  },
+  offer: { to: peerId, sealed: string(MAX_SEALED_SDP, BASE64_PATTERN) },
+  answer: { to: peerId, sealed: string(MAX_SEALED_SDP, BASE64_PATTERN) },
+  'ice-candidate': { to: peerId, sealed: string(MAX_SEALED_CANDIDATE, BASE64_PATTERN) }
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function checkFields(fields, payload, path) {
+  if (!isPlainObject(payload)) {
+    throw new SignalingError('INVALID_PAYLOAD', `${path} must be an object`);
+  }
+
+  const result = {};
+  for (const [name, rule] of Object.entries(fields)) {
+    const value = payload[name];
+    const fieldPath = `${path}.${name}`;
+
+    if (value === undefined) {
+      if (rule.required) throw new SignalingError('INVALID_PAYLOAD', `${fieldPath} is required`);
+      continue;
+    }
+
+    if (rule.type === 'object') {
+      result[name] = checkFields(rule.fields, value, fieldPath);
+      continue;
+    }
+
+    if (typeof value !== rule.type) {
+      throw new SignalingError('INVALID_PAYLOAD', `${fieldPath} must be a ${rule.type}`);
+    }
+    if (rule.integer && !Number.isInteger(value)) {
+      throw new SignalingError('INVALID_PAYLOAD', `${fieldPath} must be an integer`);
+    }
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+      throw new SignalingError('INVALID_PAYLOAD', `${fieldPath} must be between ${rule.min} and ${rule.max}`);
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      throw new SignalingError('PAYLOAD_TOO_LARGE', `${fieldPath} exceeds ${rule.maxLength} characters`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      throw new SignalingError('INVALID_PAYLOAD', `${fieldPath} has an invalid format`);
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      throw new SignalingError('INVALID_PAYLOAD', `${fieldPath} must be one of ${rule.enum.join(', ')}`);
+    }
+    result[name] = value;
+  }
+  return result;
+}
+
+// Returns only the known fields of a valid payload, throws SignalingError otherwise
+export function validatePayload(event, payload = {}) {
+  const fields = schemas[event];
+  if (!fields) {
+    throw new SignalingError('UNKNOWN_EVENT', `Unknown event ${event}`);
+  }
+  return checkFields(fields, payload, event);
+}
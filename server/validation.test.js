@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SignalingError, validatePayload } from './validation.js';
+
+// Runs validatePayload and returns the SignalingError code it threw
+function rejection(event, payload) {
+  try {
+    validatePayload(event, payload);
+  } catch (error) {
+    assert.ok(error instanceof SignalingError);
+    return error.code;
+  }
+  assert.fail(`${event} payload was accepted`);
+}
+
+describe('validatePayload', () => {
+  it('keeps only the known fields of a valid payload', () => {
+    assert.deepEqual(
+      validatePayload('offer', { to: 'abc_DEF-123', sealed: 'AAAA', sdp: 'v=0', from: 'someone' }),
+      { to: 'abc_DEF-123', sealed: 'AAAA' }
+    );
+    assert.deepEqual(validatePayload('join-room', { room: 'Room_1' }), { room: 'Room_1' });
+  });
+
+  it('checks nested key exchange messages', () => {
+    assert.deepEqual(
+      validatePayload('key-exchange', { to: 'peer', message: { type: 'rekey', seq: 3, tag: 'AB+/cd==', extra: 1 } }),
+      { to: 'peer', message: { type: 'rekey', tag: 'AB+/cd==', seq: 3 } }
+    );
+    assert.equal(rejection('key-exchange', { to: 'peer', message: { type: 'sdp' } }), 'INVALID_PAYLOAD');
+    assert.equal(rejection('key-exchange', { to: 'peer', message: { type: 'rekey', seq: 0 } }), 'INVALID_PAYLOAD');
+    assert.equal(rejection('key-exchange', { to: 'peer', message: 'share' }), 'INVALID_PAYLOAD');
+  });
+
+  it('rejects missing, mistyped and malformed fields', () => {
+    assert.equal(rejection('offer', { sealed: 'AAAA' }), 'INVALID_PAYLOAD');
+    assert.equal(rejection('offer', { to: 42, sealed: 'AAAA' }), 'INVALID_PAYLOAD');
+    assert.equal(rejection('offer', { to: 'peer', sealed: '<script>' }), 'INVALID_PAYLOAD');
+    assert.equal(rejection('join-room', { room: '../admin' }), 'INVALID_PAYLOAD');
+    assert.equal(rejection('join-room', { room: 'room', capacity: 2.5 }), 'INVALID_PAYLOAD');
+    assert.equal(rejection('join-room', { room: 'room', capacity: 1 }), 'INVALID_PAYLOAD');
+    assert.equal(rejection('knock', { name: 'Eve\u0007' }), 'INVALID_PAYLOAD');
+    assert.equal(rejection('admit', ['peer']), 'INVALID_PAYLOAD');
+    assert.equal(rejection('leave-room', null), 'INVALID_PAYLOAD');
+  });
+
+  it('rejects oversized fields', () => {
+    assert.equal(rejection('join-room', { room: 'r'.repeat(65) }), 'PAYLOAD_TOO_LARGE');
+    assert.equal(rejection('ice-candidate', { to: 'peer', sealed: 'A'.repeat(4 * 1024 + 4) }), 'PAYLOAD_TOO_LARGE');
+    assert.equal(rejection('knock', { name: 'n'.repeat(65) }), 'PAYLOAD_TOO_LARGE');
+  });
+
+  it('rejects events it has no schema for', () => {
+    assert.equal(rejection('broadcast', {}), 'UNKNOWN_EVENT');
+  });
+});
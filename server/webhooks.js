@@ -0,0 +1,164 @@
+import { createHmac, randomUUID } from 'crypto';
+import { appendFile } from 'fs/promises';
+import { toInt } from './config.js';
+
+// Outbound webhooks for room lifecycle events. Every event is POSTed as JSON
+// to each configured URL and signed with WEBHOOK_SECRET; failed deliveries are
+// retried with exponential backoff and finally written to a dead-letter log.
+// Payloads only ever carry the keyed room ref from the logs, never a room
+// name, and nothing from the calls themselves.
+//
+// Events: room.created, room.deleted, participant.joined, participant.left
+// and room.full. Each body is { id, type, time, data }; retries of one
+// event keep its id, so receivers can drop duplicates.
+
+// WEBHOOK_URLS is comma separated; without it (or WEBHOOK_SECRET) webhooks are off
+export function loadWebhookConfig(env = process.env) {
+  return {
+    urls: (env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+    secret: env.WEBHOOK_SECRET || null,
+    maxQueueSize: toInt(env.WEBHOOK_QUEUE_SIZE, 1000),
+    maxAttempts: toInt(env.WEBHOOK_MAX_ATTEMPTS, 6),
+    baseDelayMs: toInt(env.WEBHOOK_RETRY_BASE_MS, 1000),
+    maxDelayMs: toInt(env.WEBHOOK_RETRY_MAX_MS, 60000),
+    timeoutMs: toInt(env.WEBHOOK_TIMEOUT_MS, 5000),
+    concurrency: toInt(env.WEBHOOK_CONCURRENCY, 4),
+    deadLetterFile: env.WEBHOOK_DEAD_LETTER_FILE || null
+  };
+}
+
+// Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and reject
+// stale timestamps, so a captured delivery can't be replayed later
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// URLs may carry a token in their query string; logs get the rest
+const logTarget = (url) => {
+  try {
+    const { origin, pathname } = new URL(url);
+    return origin + pathname;
+  } catch {
+    return 'invalid URL';
+  }
+};
+
+export class WebhookDispatcher {
+  constructor(config, logger = console, fetchImpl = fetch) {
+    this.config = config;
+    this.logger = logger;
+    this.fetch = fetchImpl;
+    this.enabled = config.urls.length > 0 && Boolean(config.secret);
+    this.queue = []; // deliveries ready to send
+    this.waiting = 0; // deliveries sleeping before a retry
+    this.inFlight = 0;
+
+    if (config.urls.length > 0 && !config.secret) {
+      logger.warn('WEBHOOK_URLS is set without WEBHOOK_SECRET - webhooks are off');
+    }
+  }
+
+  // Everything not yet delivered or given up on
+  get pending() {
+    return this.queue.length + this.waiting + this.inFlight;
+  }
+
+  // Queue one event for every URL. Never throws and never waits on delivery
+  emit(type, data) {
+    if (!this.enabled) return;
+
+    const event = { id: randomUUID(), type, time: new Date().toISOString(), data };
+    const body = JSON.stringify(event);
+    for (const url of this.config.urls) {
+      const delivery = { url, event, body, attempts: 0 };
+      // A receiver that is down for long must not grow the queue without bound
+      if (this.pending >= this.config.maxQueueSize) {
+        this.deadLetter(delivery, 'queue full');
+        continue;
+      }
+      this.queue.push(delivery);
+    }
+    this.pump();
+  }
+
+  pump() {
+    while (this.inFlight < this.config.concurrency && this.queue.length > 0) {
+      const delivery = this.queue.shift();
+      this.inFlight++;
+      this.send(delivery).finally(() => {
+        this.inFlight--;
+        this.pump();
+      });
+    }
+  }
+
+  async send(delivery) {
+    delivery.attempts++;
+    let failure;
+    try {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const response = await this.fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SecureCall-Webhooks/1.0',
+          'X-SecureCall-Event': delivery.event.type,
+          'X-SecureCall-Delivery': delivery.event.id,
+          'X-SecureCall-Timestamp': String(timestamp),
+          'X-SecureCall-Signature': signPayload(this.config.secret, timestamp, delivery.body)
+        },
+        body: delivery.body,
+        redirect: 'error',
+        signal: AbortSignal.timeout(this.config.timeoutMs)
+      });
+      if (response.ok) return;
+      failure = `HTTP ${response.status}`;
+    } catch (error) {
+      // fetch hides the network error (ECONNREFUSED and so on) in its cause
+      failure = error.name === 'TimeoutError' ? 'timed out' : error.cause?.code || error.message;
+    }
+
+    if (delivery.attempts >= this.config.maxAttempts) {
+      this.deadLetter(delivery, failure);
+      return;
+    }
+    this.retry(delivery, failure);
+  }
+
+  // 1s, 2s, 4s ... capped, with jitter so retries to a recovering receiver spread out
+  retry(delivery, failure) {
+    const backoff = Math.min(this.config.baseDelayMs * 2 ** (delivery.attempts - 1), this.config.maxDelayMs);
+    const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    this.logger.warn('Webhook delivery failed, retrying', {
+      delivery: delivery.event.id,
+      event: delivery.event.type,
+      url: logTarget(delivery.url),
+      attempt: delivery.attempts,
+      retryInMs: delay,
+      error: failure
+    });
+
+    this.waiting++;
+    setTimeout(() => {
+      this.waiting--;
+      this.queue.push(delivery);
+      this.pump();
+    }, delay).unref();
+  }
+
+  // The log line is always written; the file keeps the whole event so it can be replayed
+  deadLetter(delivery, reason) {
+    this.logger.error('Webhook delivery dead-lettered', {
+      delivery: delivery.event.id,
+      event: delivery.event.type,
+      url: logTarget(delivery.url),
+      attempts: delivery.attempts,
+      reason
+    });
+    if (!this.config.deadLetterFile) return;
+
+    const entry = { time: new Date().toISOString(), url: delivery.url, attempts: delivery.attempts, reason, event: delivery.event };
+    appendFile(this.config.deadLetterFile, `${JSON.stringify(entry)}\n`)
+      .catch(error => this.logger.error('Writing the webhook dead-letter log failed', { error }));
+  }
+}
@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { WebhookDispatcher, loadWebhookConfig, signPayload } from './webhooks.js';
+
+const quietLogger = () => {
+  const lines = [];
+  const log = (level) => (message, fields) => lines.push({ level, message, ...fields });
+  return { lines, warn: log('warn'), error: log('error') };
+};
+
+const config = (overrides = {}) => ({
+  ...loadWebhookConfig({ WEBHOOK_URLS: 'https://hooks.example/in?token=t', WEBHOOK_SECRET: 'secret' }),
+  baseDelayMs: 1,
+  maxDelayMs: 1,
+  ...overrides
+});
+
+// Resolves once the dispatcher has nothing left to send or retry
+async function settled(dispatcher) {
+  while (dispatcher.pending > 0) await new Promise(resolve => setTimeout(resolve, 5));
+}
+
+describe('signPayload', () => {
+  it('signs the timestamp and body together', () => {
+    const expected = createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signPayload('secret', 1700000000, '{"a":1}'), `sha256=${expected}`);
+    assert.notEqual(signPayload('secret', 1700000001, '{"a":1}'), signPayload('secret', 1700000000, '{"a":1}'));
+  });
+});
+
+describe('WebhookDispatcher', () => {
+  it('stays off without a secret', () => {
+    const logger = quietLogger();
+    const dispatcher = new WebhookDispatcher(config({ secret: null }), logger, () => assert.fail('sent'));
+    dispatcher.emit('room.created', {});
+    assert.equal(dispatcher.enabled, false);
+    assert.equal(logger.lines[0].level, 'warn');
+  });
+
+  it('posts a signed event a receiver can verify', async () => {
+    const requests = [];
+    const dispatcher = new WebhookDispatcher(config(), quietLogger(), async (url, init) => {
+      requests.push({ url, init });
+      return { ok: true, status: 200 };
+    });
+    dispatcher.emit('room.created', { room: 'ref', capacity: 2 });
+    await settled(dispatcher);
+
+    const [{ url, init }] = requests;
+    const { headers, body } = init;
+    assert.equal(url, 'https://hooks.example/in?token=t');
+    assert.equal(headers['X-SecureCall-Event'], 'room.created');
+    assert.equal(headers['X-SecureCall-Signature'], signPayload('secret', headers['X-SecureCall-Timestamp'], body));
+    const event = JSON.parse(body);
+    assert.equal(event.id, headers['X-SecureCall-Delivery']);
+    assert.deepEqual(event.data, { room: 'ref', capacity: 2 });
+  });
+
+  it('retries a failed delivery under the same id, then dead-letters it', async () => {
+    const ids = [];
+    const logger = quietLogger();
+    const dispatcher = new WebhookDispatcher(config({ maxAttempts: 3 }), logger, async (url, { headers }) => {
+      ids.push(headers['X-SecureCall-Delivery']);
+      return { ok: false, status: 503 };
+    });
+    dispatcher.emit('room.full', { room: 'ref' });
+    await settled(dispatcher);
+
+    assert.equal(ids.length, 3);
+    assert.equal(new Set(ids).size, 1);
+    const deadLetter = logger.lines.find(line => line.level === 'error');
+    assert.equal(deadLetter.reason, 'HTTP 503');
+    // The query string may hold a token
+    assert.equal(deadLetter.url, 'https://hooks.example/in');
+  });
+
+  it('dead-letters new events once the queue is full', async () => {
+    const logger = quietLogger();
+    let release;
+    const blocked = new Promise(resolve => {
+      release = resolve;
+    });
+    const dispatcher = new WebhookDispatcher(config({ maxQueueSize: 1 }), logger, async () => {
+      await blocked;
+      return { ok: true, status: 200 };
+    });
+    dispatcher.emit('room.created', {});
+    dispatcher.emit('room.deleted', {});
+    assert.equal(logger.lines.find(line => line.level === 'error').reason, 'queue full');
+
+    release();
+    await settled(dispatcher);
+  });
+});